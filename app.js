@@ -5,10 +5,19 @@
 // ========================================
 // LocalStorage Keys
 // ========================================
+// 단어는 IndexedDB에 저장하고, 사용할 수 없을 때만 localStorage 사용
 const STORAGE_KEYS = {
     WORDS: 'vocab_words',
     THEME: 'vocab_theme',
-    SETTINGS: 'vocab_settings'
+    SETTINGS: 'vocab_settings',
+    REVIEWS: 'vocab_reviews',             // IndexedDB를 쓸 수 없을 때의 채점 기록
+    DECKS: 'vocab_decks',                 // IndexedDB를 쓸 수 없을 때의 덱 목록
+    LOOKUPS: 'vocab_lookups',             // IndexedDB를 쓸 수 없을 때의 사전 검색 캐시
+    DICTIONARY: 'vocab_dictionary',       // 검색할 사전 순서
+    TESTS: 'vocab_tests',                 // IndexedDB를 쓸 수 없을 때의 지난 시험지
+    MASTERY_HISTORY: 'vocab_mastery_history',  // 날짜별 외운 단어 수 (통계 차트용)
+    SCORES: 'vocab_scores',               // IndexedDB를 쓸 수 없을 때의 종이 시험 채점 결과
+    CORRUPT_WORDS: 'vocab_words_corrupt'  // 읽을 수 없는 단어 데이터 보관용
 };
 
 // ========================================
@@ -20,9 +29,43 @@ const STORAGE_KEYS = {
  * @typedef {Object} Word
  * @property {string} id - 고유 식별자 (타임스탬프 기반)
  * @property {string} english - 영어 단어
- * @property {string} korean - 한국어 뜻
+ * @property {string} korean - 한국어 뜻 전체 (senses로 만든 문자열, 검색·채점·내보내기에 사용)
+ * @property {WordSense[]} senses - 품사별 뜻
+ * @property {string} phonetic - 발음 기호 (IPA, 예: "/ˈæp.əl/", 없으면 빈 문자열)
+ * @property {string[]} examples - 예문
+ * @property {string[]} synonyms - 유의어
  * @property {boolean} mastered - 암기 완료 여부
  * @property {string} dateAdded - 추가 날짜 (ISO 8601 형식)
+ * @property {string} category - 주제 (CATEGORY_LABELS의 키)
+ * @property {string[]} deckIds - 속한 덱 ID 배열 (여러 덱에 속할 수 있음)
+ * @property {ReviewHistory} review - 학습 기록 및 복습 일정
+ */
+
+/**
+ * 품사별 뜻
+ * @typedef {Object} WordSense
+ * @property {string} partOfSpeech - 품사 약어 (PART_OF_SPEECH_LABELS의 키, 모르면 빈 문자열)
+ * @property {string} korean - 한국어 뜻 (쉼표로 여러 개)
+ */
+
+/**
+ * 덱(단어장) 구조
+ * @typedef {Object} Deck
+ * @property {string} id - 고유 식별자
+ * @property {string} name - 덱 이름 (예: "3반", "Unit 5", "10월 2주차")
+ * @property {string} createdAt - 만든 날짜 (ISO 8601 형식)
+ */
+
+/**
+ * 단어별 학습 기록 (SM-2 복습 일정)
+ * @typedef {Object} ReviewHistory
+ * @property {number} attempts - 채점된 횟수
+ * @property {number} correct - 맞힌 횟수
+ * @property {string|null} lastReviewed - 마지막 채점 일시 (ISO 8601 형식)
+ * @property {number} ease - 난이도 계수 (SM-2 easiness factor, 최소 1.3)
+ * @property {number} interval - 현재 복습 간격 (일)
+ * @property {number} repetitions - 연속으로 맞힌 횟수
+ * @property {string} dueDate - 다음 복습일 (로컬 YYYY-MM-DD)
  */
 
 /**
@@ -31,14 +74,40 @@ const STORAGE_KEYS = {
  * @property {number} questionCount - 문제 수
  * @property {string} testType - 시험 유형 (eng-to-kor, kor-to-eng, mixed)
  * @property {boolean} shuffle - 단어 섞기 여부
+ * @property {string} questionType - 문제 유형 (written, multiple-choice, cloze, dictation)
+ * @property {number} choiceCount - 객관식 보기 수 (4 또는 5)
+ * @property {boolean} meaningHint - 빈칸 채우기·받아쓰기 문제에 한국어 뜻 힌트 표시 여부
+ * @property {number} dictationRepeat - 받아쓰기 단어당 읽는 횟수
+ * @property {number} dictationRate - 받아쓰기 읽기 속도 (1이 보통)
+ * @property {number} dictationPause - 받아쓰기 단어 사이 간격 (초)
+ * @property {string} answerKey - PDF 정답지 출력 방식 (none, append, separate)
+ * @property {number} versionCount - 한 번에 만들 시험지 형 수 (1이면 한 가지, 최대 5: A형~E형)
+ * @property {boolean} alternateDirections - 형마다 출제 방향 번갈아 바꾸기 (B형·D형은 반대 방향)
+ * @property {string} paperSize - PDF·인쇄 용지 (a4, letter, b5)
+ * @property {number} layoutColumns - 한 줄에 놓는 문제 수 (1 또는 2)
+ * @property {number} fontSize - 시험지 본문 글자 크기 (pt)
+ * @property {string} testTitle - 시험지 제목 (빈 문자열이면 기본 제목)
+ * @property {string} schoolName - 머리말의 학교 이름
+ * @property {string} schoolLogo - 학교 로고 (PNG/JPEG data URL, 없으면 빈 문자열)
+ * @property {string[]} headerFields - 이름 칸 외에 표시할 칸 (class, number, score)
+ * @property {boolean} pageNumbers - PDF 꼬리말에 쪽 번호 표시 여부
+ * @property {DeckQuota[]} deckQuotas - 덱별 출제 수 (비어 있으면 필터된 단어로 출제)
+ */
+
+/**
+ * 덱별 출제 수
+ * @typedef {Object} DeckQuota
+ * @property {string} deckId - 덱 ID
+ * @property {number} count - 출제할 문제 수 (0이면 덱의 단어 전체)
  */
 
 /**
  * 필터 설정 구조
  * @typedef {Object} FilterSettings
  * @property {string} category - 카테고리 필터
- * @property {string|null} dateFrom - 시작 날짜
- * @property {string|null} dateTo - 종료 날짜
+ * @property {string} datePreset - 날짜 범위 프리셋 (all, today, last7, thisMonth, custom)
+ * @property {string|null} dateFrom - 시작 날짜 (custom일 때, YYYY-MM-DD)
+ * @property {string|null} dateTo - 종료 날짜 (custom일 때, YYYY-MM-DD)
  */
 
 // ========================================
@@ -53,24 +122,190 @@ const CATEGORY_LABELS = {
     daily: '일상'
 };
 
+// 주제를 고르지 않은 단어의 기본 주제
+const DEFAULT_CATEGORY = 'general';
+
+// 품사 약어와 이름 (뜻 앞의 "(명)" 표시에 사용)
+const PART_OF_SPEECH_LABELS = {
+    '명': '명사',
+    '동': '동사',
+    '형': '형용사',
+    '부': '부사',
+    '대': '대명사',
+    '전': '전치사',
+    '접': '접속사',
+    '감': '감탄사',
+    '한정': '한정사'
+};
+
+// 시험 유형 라벨 (한글)
+const TEST_TYPE_LABELS = {
+    'eng-to-kor': '영어 → 한국어',
+    'kor-to-eng': '한국어 → 영어',
+    mixed: '혼합'
+};
+
+// 문제 유형 라벨 (한글)
+const QUESTION_TYPE_LABELS = {
+    written: '주관식',
+    'multiple-choice': '객관식',
+    cloze: '빈칸 채우기',
+    dictation: '받아쓰기'
+};
+
+// 빈칸 채우기 문제에서 단어 자리에 넣는 빈칸
+const CLOZE_BLANK = '________';
+
+// 객관식 보기 기호
+const CHOICE_LETTERS = ['A', 'B', 'C', 'D', 'E'];
+
+// 시험지 형 라벨 (여러 형을 만들 때 A형부터 차례로)
+const TEST_VERSION_LABELS = ['A형', 'B형', 'C형', 'D형', 'E형'];
+
+// 형마다 방향을 바꿀 때 쓰는 반대 방향 (혼합은 문제마다 다시 무작위)
+const OPPOSITE_TEST_TYPES = {
+    'eng-to-kor': 'kor-to-eng',
+    'kor-to-eng': 'eng-to-kor',
+    mixed: 'mixed'
+};
+
+// 정답지 출력 방식 라벨 (한글)
+const ANSWER_KEY_LABELS = {
+    none: '포함 안 함',
+    append: '시험지 뒤에 추가',
+    separate: '별도 파일'
+};
+
+// 시험지 용지 크기 (키는 jsPDF format 이름, 값은 인쇄용 @page size 값)
+const PAPER_SIZES = {
+    a4: 'A4',
+    letter: 'letter',
+    b5: 'B5'
+};
+
+// 시험지 기본 제목 (레이아웃 설정에서 바꿀 수 있음)
+const DEFAULT_TEST_TITLE = '영어 단어 시험';
+
+// 시험지 머리말에 더할 수 있는 칸 (이름 칸은 항상 표시)
+const HEADER_FIELD_LABELS = {
+    class: '반',
+    number: '번호',
+    score: '점수'
+};
+
+// 시험지 본문 글자 크기 범위 (pt)
+const MIN_TEST_FONT_SIZE = 8;
+const MAX_TEST_FONT_SIZE = 16;
+
+// 시험지 제목, 학교 이름 최대 길이
+const TEST_TITLE_MAX_LENGTH = 40;
+const SCHOOL_NAME_MAX_LENGTH = 30;
+
+// 학교 로고 최대 크기 (설정과 함께 localStorage에 저장하므로 작게 제한)
+const SCHOOL_LOGO_MAX_BYTES = 200 * 1024;
+
+// 학교 로고로 받는 값 (백업 복원 값도 검사하므로 전체가 base64인지 확인)
+const SCHOOL_LOGO_PATTERN = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/;
+
+// 시험지 기본 설정
+const DEFAULT_TEST_SETTINGS = {
+    questionCount: 0,         // 0이면 필터된 단어 전체 출제
+    testType: 'eng-to-kor',
+    shuffle: true,
+    questionType: 'written',
+    choiceCount: 4,           // 객관식 보기 수 (4 또는 5)
+    meaningHint: true,        // 빈칸 채우기·받아쓰기 문제에 한국어 뜻 힌트 표시
+    dictationRepeat: 2,       // 받아쓰기 단어당 읽는 횟수
+    dictationRate: 0.8,       // 받아쓰기 읽기 속도
+    dictationPause: 5,        // 받아쓰기 단어 사이 간격 (초)
+    answerKey: 'append',      // PDF 정답지 출력 방식
+    versionCount: 1,          // 한 번에 만들 시험지 형 수 (A형~E형)
+    alternateDirections: false, // 형마다 출제 방향 번갈아 바꾸기
+    paperSize: 'a4',          // PDF·인쇄 용지 (PAPER_SIZES의 키)
+    layoutColumns: 1,         // 한 줄에 놓는 문제 수 (1단 또는 2단)
+    fontSize: 11,             // 시험지 본문 글자 크기 (pt)
+    testTitle: '',            // 시험지 제목 (비우면 '영어 단어 시험' 등 기본 제목)
+    schoolName: '',           // 머리말에 표시할 학교 이름
+    schoolLogo: '',           // 학교 로고 (PNG/JPEG data URL)
+    headerFields: [],         // 이름 칸 외에 표시할 칸 (HEADER_FIELD_LABELS의 키)
+    pageNumbers: true,        // PDF 꼬리말에 "쪽 / 전체 쪽" 표시
+    deckQuotas: []            // 덱별 출제 수 (여러 덱으로 시험지 생성)
+};
+
+// 시험지 레이아웃 설정 (지난 시험지는 만들 때 저장한 값으로 다시 그림)
+const TEST_LAYOUT_KEYS = ['answerKey', 'paperSize', 'layoutColumns', 'fontSize', 'schoolName', 'schoolLogo', 'headerFields', 'pageNumbers'];
+
+// 단어 목록 정렬 방식 라벨 (한글)
+const WORD_SORT_LABELS = {
+    'added-asc': '추가한 순서',
+    'added-desc': '최근 추가순',
+    alpha: '알파벳순',
+    accuracy: '정답률 낮은 순',
+    due: '복습일 빠른 순'
+};
+
+// 단어 목록을 한 번에 그리는 개수 ("더 보기"로 이어서 표시)
+const WORD_LIST_PAGE_SIZE = 50;
+
 // ========================================
 // Application State
 // ========================================
 const state = {
     words: [],
+    decks: [],
     filteredWords: [],
     currentFilter: {
-        category: 'all',  // 'all', 'mastered', 'learning'
-        date: 'all'       // 'all' 또는 'YYYY-MM-DD' 형식
+        category: 'all',  // 'all', 'mastered', 'learning', 'due'
+        topic: 'all',     // 'all' 또는 CATEGORY_LABELS의 키
+        deck: 'all',      // 'all', 'none' (덱 없는 단어) 또는 덱 ID
+        search: '',       // 영어/한국어 검색어 (한글 초성 검색 지원)
+        datePreset: 'all',  // DATE_PRESET_LABELS의 키
+        dateFrom: null,     // 직접 선택한 시작 날짜 (YYYY-MM-DD, 로컬 기준)
+        dateTo: null        // 직접 선택한 종료 날짜 (YYYY-MM-DD, 로컬 기준)
     },
-    generatedTest: null
+    listView: {
+        sort: 'added-asc',               // WORD_SORT_LABELS의 키
+        limit: WORD_LIST_PAGE_SIZE,      // 지금까지 표시한 단어 수
+        key: ''                          // 필터/정렬이 바뀌었는지 확인용
+    },
+    selection: {
+        active: false,     // 선택 모드 여부
+        ids: new Set()     // 선택한 단어 ID (필터된 단어 안에서만 유지)
+    },
+    history: {
+        undo: [],          // 실행 취소할 변경 (WordChange, 최근 것이 끝)
+        redo: [],          // 다시 실행할 변경
+        busy: false        // 되돌리는 중 (저장이 끝나기 전 중복 실행 방지)
+    },
+    settings: { ...DEFAULT_TEST_SETTINGS },
+    generatedTest: null,
+    testVersions: [],   // 한 번에 만든 시험지 형 목록 (generatedTest는 미리보기 중인 형)
+    testLayout: null,   // 다시 연 지난 시험지의 레이아웃 설정 (새로 만든 시험지면 null, 현재 설정 사용)
+    testHistory: [],    // 지난 시험지 (최근 것부터)
+    scores: [],         // 종이 시험 채점 결과 (최근 것부터)
+    scoring: null,      // 채점 창 상태 ({ testId, versionIndex, marks, scoreId: 고치는 중인 채점 결과 ID })
+    wordsLoadError: null,  // 저장된 단어를 읽지 못했을 때 { preserved } (복원하거나 확인할 때까지 저장 막음)
+    statsStale: true,   // 단어가 바뀌어 통계를 다시 그려야 함 (검색·필터만 바뀌면 그대로)
+    quiz: null,
+    dictation: { playing: false, index: 0, token: 0 },
+    importPreview: null
+};
+
+// 날짜 범위 프리셋 라벨 (한글)
+const DATE_PRESET_LABELS = {
+    all: '전체 날짜',
+    today: '오늘',
+    last7: '최근 7일',
+    thisMonth: '이번 달',
+    custom: '직접 선택'
 };
 
 // 카테고리 라벨 (한글)
 const CATEGORY_FILTER_LABELS = {
     all: '전체 단어',
     mastered: '완벽하게 외운 단어',
-    learning: '헷갈리는 단어'
+    learning: '헷갈리는 단어',
+    due: '오늘 복습할 단어'
 };
 
 // ========================================
@@ -88,17 +323,42 @@ function generateId() {
 /**
  * 배열 섞기 (Fisher-Yates shuffle)
  * @param {Array} array - 섞을 배열
+ * @param {function(): number} random - 0 이상 1 미만의 난수 함수 (createSeededRandom)
  * @returns {Array} 섞인 배열 (새 배열)
  */
-function shuffleArray(array) {
+function shuffleArray(array, random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
 }
 
+/**
+ * 시드로 같은 순서를 다시 만들 수 있는 난수 함수 생성 (mulberry32)
+ * @param {number} seed - 32비트 정수 시드
+ * @returns {function(): number} 0 이상 1 미만의 난수 함수
+ */
+function createSeededRandom(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+/**
+ * 새 시드 만들기 (시험지 생성에서 Math.random을 쓰는 유일한 곳)
+ * @returns {number} 0 이상 2^32 미만의 정수
+ */
+function createSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
 /**
  * 날짜 포맷팅
  * @param {string} isoString - ISO 8601 날짜 문자열
@@ -108,6 +368,30 @@ function formatDate(isoString) {
     return new Date(isoString).toLocaleDateString('ko-KR');
 }
 
+/**
+ * 로컬 시간 기준 날짜 키 생성
+ * @param {Date|string} date - Date 객체 또는 ISO 8601 문자열
+ * @returns {string} YYYY-MM-DD 형식의 문자열
+ */
+function toLocalDateKey(date) {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * 날짜 키에 일수 더하기
+ * @param {string} dateKey - YYYY-MM-DD 형식의 날짜
+ * @param {number} days - 더할 일수
+ * @returns {string} YYYY-MM-DD 형식의 날짜
+ */
+function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return toLocalDateKey(new Date(year, month - 1, day + days));
+}
+
 /**
  * 파일명용 타임스탬프 생성
  * @returns {string} YYYYMMDD_HHMMSS 형식의 문자열
@@ -123,6 +407,35 @@ function getTimestamp() {
     return `${year}${month}${day}_${hours}${minutes}${seconds}`;
 }
 
+/**
+ * 주제 값을 CATEGORY_LABELS의 키로 변환 (키나 한글/영문 라벨 모두 허용)
+ * @param {string} value - 주제 키 또는 라벨 (예: 'toeic', 'TOEIC', '비즈니스')
+ * @returns {string|null} 주제 키 (알 수 없으면 null)
+ */
+function normalizeCategory(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim().toLowerCase();
+    return Object.keys(CATEGORY_LABELS).find(key =>
+        key === text || CATEGORY_LABELS[key].toLowerCase() === text) || null;
+}
+
+/**
+ * select 요소에 주제 옵션 채우기
+ * @param {HTMLSelectElement} select - 대상 select 요소
+ * @param {string} selected - 선택할 주제 키
+ */
+function fillCategoryOptions(select, selected = DEFAULT_CATEGORY) {
+    if (!select) return;
+
+    Object.entries(CATEGORY_LABELS).forEach(([key, label]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
+
 // ========================================
 // Toast Notification Functions
 // ========================================
@@ -132,8 +445,9 @@ function getTimestamp() {
  * @param {string} message - 알림 메시지
  * @param {string} type - 알림 타입 ('success' | 'error' | 'warning' | 'info')
  * @param {number} duration - 표시 시간 (ms), 기본 3000ms
+ * @param {Object|null} action - 토스트 안 버튼 ({ label, onClick }, 예: 실행 취소)
  */
-function showToast(message, type = 'info', duration = 3000) {
+function showToast(message, type = 'info', duration = 3000, action = null) {
     const container = document.getElementById('toast-container');
     if (!container) return;
 
@@ -153,6 +467,21 @@ function showToast(message, type = 'info', duration = 3000) {
         <span class="toast__message">${message}</span>
     `;
 
+    // 사라지는 애니메이션을 표시 시간에 맞춤
+    toast.style.animationDelay = `0s, ${Math.max(0, duration - 300) / 1000}s`;
+
+    if (action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'toast__action';
+        actionBtn.textContent = action.label;
+        actionBtn.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(actionBtn);
+    }
+
     container.appendChild(toast);
 
     // 지정된 시간 후 제거
@@ -189,6 +518,115 @@ function hideLoading() {
     }
 }
 
+// ========================================
+// Search & Sort (단어 검색, 정렬)
+// ========================================
+
+// 한글 초성 (유니코드 음절 순서)
+const HANGUL_CHOSEONG = [
+    'ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ',
+    'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'
+];
+const HANGUL_SYLLABLE_START = 0xAC00;  // '가'
+const HANGUL_SYLLABLE_END = 0xD7A3;    // '힣'
+const HANGUL_SYLLABLES_PER_CHOSEONG = 588;  // 중성 21 × 종성 28
+
+/**
+ * 한글 음절의 초성 반환
+ * @param {string} char - 한 글자
+ * @returns {string|null} 초성 (한글 음절이 아니면 null)
+ */
+function getChoseong(char) {
+    const code = char.charCodeAt(0);
+    if (code < HANGUL_SYLLABLE_START || code > HANGUL_SYLLABLE_END) return null;
+    return HANGUL_CHOSEONG[Math.floor((code - HANGUL_SYLLABLE_START) / HANGUL_SYLLABLES_PER_CHOSEONG)];
+}
+
+/**
+ * 텍스트에 검색어가 들어 있는지 확인 (대소문자 무시, 부분 일치)
+ * 검색어의 자음(ㄱ~ㅎ)은 같은 초성의 음절과도 일치 (예: "ㅅㄱ" → "사과", "사ㄱ" → "사과")
+ * @param {string} text - 검색 대상
+ * @param {string} query - 소문자로 바꾼 검색어
+ * @returns {boolean} 일치하면 true
+ */
+function matchesSearchText(text, query) {
+    const target = text.toLowerCase();
+    if (target.includes(query)) return true;
+
+    // 초성이 섞인 검색어는 글자 단위로 비교
+    if (!query.split('').some(char => HANGUL_CHOSEONG.includes(char))) return false;
+
+    for (let start = 0; start + query.length <= target.length; start++) {
+        let matched = true;
+        for (let i = 0; i < query.length; i++) {
+            const q = query[i];
+            const t = target[start + i];
+            if (q !== t && !(HANGUL_CHOSEONG.includes(q) && getChoseong(t) === q)) {
+                matched = false;
+                break;
+            }
+        }
+        if (matched) return true;
+    }
+    return false;
+}
+
+/**
+ * 단어가 검색어와 일치하는지 확인 (영어 단어, 한국어 뜻, 유의어)
+ * @param {Word} word - 단어 객체
+ * @param {string} search - 검색어
+ * @returns {boolean} 일치하면 true (검색어가 비어 있으면 항상 true)
+ */
+function matchesWordSearch(word, search) {
+    const query = search.trim().toLowerCase();
+    if (!query) return true;
+    return matchesSearchText(word.english, query) || matchesSearchText(word.korean, query)
+        || word.synonyms.some(synonym => matchesSearchText(synonym, query));
+}
+
+/**
+ * 단어 정답률 (채점 기록이 없으면 null)
+ * @param {Word} word - 단어 객체
+ * @returns {number|null} 0 ~ 1
+ */
+function getWordAccuracy(word) {
+    const review = word.review;
+    return review && review.attempts > 0 ? review.correct / review.attempts : null;
+}
+
+/**
+ * 정렬 방식에 맞게 단어 정렬
+ * @param {Word[]} words - 단어 배열
+ * @param {string} sort - WORD_SORT_LABELS의 키
+ * @returns {Word[]} 정렬된 새 배열
+ */
+function sortWords(words, sort) {
+    const byEnglish = (a, b) => a.english.localeCompare(b.english, 'en', { sensitivity: 'base' });
+    const byDate = (a, b) => Date.parse(a.dateAdded) - Date.parse(b.dateAdded);
+    const sorted = [...words];
+
+    switch (sort) {
+        case 'added-desc':
+            return sorted.sort((a, b) => byDate(b, a));
+        case 'alpha':
+            return sorted.sort(byEnglish);
+        case 'accuracy':
+            // 정답률이 낮은 단어 먼저, 채점 기록이 없는 단어는 맨 뒤
+            return sorted.sort((a, b) => {
+                const accuracyA = getWordAccuracy(a);
+                const accuracyB = getWordAccuracy(b);
+                if (accuracyA === null || accuracyB === null) {
+                    return (accuracyA === null) - (accuracyB === null) || byEnglish(a, b);
+                }
+                return accuracyA - accuracyB || byEnglish(a, b);
+            });
+        case 'due':
+            return sorted.sort((a, b) => a.review.dueDate.localeCompare(b.review.dueDate) || byEnglish(a, b));
+        default:
+            return sorted.sort(byDate);
+    }
+}
+
 // ========================================
 // Input Validation Functions
 // ========================================
@@ -221,778 +659,7425 @@ function validateInput(english, korean) {
 }
 
 // ========================================
-// LocalStorage Functions
+// Word Entries (품사별 뜻, 발음, 예문, 유의어)
 // ========================================
 
 /**
- * LocalStorage에서 단어 목록 로드
- * @returns {Word[]} 단어 배열
+ * 품사별 뜻 목록을 한국어 뜻 문자열로 변환 (예: "(명) 빛, 전등; (형) 가벼운")
+ * @param {WordSense[]} senses - 품사별 뜻
+ * @returns {string}
  */
-function loadWords() {
-    try {
-        const data = localStorage.getItem(STORAGE_KEYS.WORDS);
-        return data ? JSON.parse(data) : [];
-    } catch (error) {
-        console.error('단어 로드 실패:', error);
-        return [];
+function formatSenses(senses) {
+    return senses
+        .map(sense => sense.partOfSpeech ? `(${sense.partOfSpeech}) ${sense.korean}` : sense.korean)
+        .join('; ');
+}
+
+/**
+ * 한국어 뜻 문자열을 품사별 뜻으로 분리 (formatSenses의 반대)
+ * 세미콜론으로 뜻을 나누고, 앞의 "(명)" 같은 표시를 품사로 읽음
+ * @param {string} korean - 한국어 뜻 문자열
+ * @returns {WordSense[]}
+ */
+function parseSenses(korean) {
+    return String(korean ?? '')
+        .split(';')
+        .map(part => {
+            const match = /^\(([^)]+)\)\s*(.*)$/.exec(part.trim());
+            if (match && PART_OF_SPEECH_LABELS[match[1]]) {
+                return { partOfSpeech: match[1], korean: match[2].trim() };
+            }
+            return { partOfSpeech: '', korean: part.trim() };
+        })
+        .filter(sense => sense.korean);
+}
+
+/**
+ * 품사별 뜻 정리 (빈 뜻 제외, 모르는 품사는 비움)
+ * @param {*} senses - 정리할 값
+ * @returns {WordSense[]}
+ */
+function normalizeSenses(senses) {
+    if (!Array.isArray(senses)) return [];
+    return senses
+        .filter(sense => sense && typeof sense.korean === 'string' && sense.korean.trim())
+        .map(sense => ({
+            partOfSpeech: PART_OF_SPEECH_LABELS[sense.partOfSpeech] ? sense.partOfSpeech : '',
+            korean: sense.korean.trim()
+        }));
+}
+
+/**
+ * 예문·유의어 목록 정리 (문자열만, 앞뒤 공백 제거, 중복 제외)
+ * @param {*} items - 정리할 값
+ * @returns {string[]}
+ */
+function normalizeTextList(items) {
+    if (!Array.isArray(items)) return [];
+    const seen = new Set();
+    return items
+        .filter(item => typeof item === 'string')
+        .map(item => item.trim())
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (!item || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * 단어에 뜻·발음·예문·유의어 반영 (korean 문자열은 senses로 다시 만듦)
+ * @param {Word} word - 대상 단어
+ * @param {Object} entry - { senses, phonetic, examples, synonyms } 중 바꿀 값
+ */
+function applyWordEntry(word, entry) {
+    if (entry.senses !== undefined) {
+        word.senses = normalizeSenses(entry.senses);
+        word.korean = formatSenses(word.senses);
+    }
+    if (entry.phonetic !== undefined) {
+        word.phonetic = String(entry.phonetic ?? '').trim();
+    }
+    if (entry.examples !== undefined) {
+        word.examples = normalizeTextList(entry.examples);
+    }
+    if (entry.synonyms !== undefined) {
+        word.synonyms = normalizeTextList(entry.synonyms);
     }
 }
 
 /**
- * LocalStorage에 단어 목록 저장
- * @param {Word[]} words - 저장할 단어 배열
+ * 단어의 대표 뜻 (첫 번째 뜻)
+ * @param {Word} word - 단어 객체
+ * @returns {WordSense}
  */
-function saveWords(words) {
-    try {
-        localStorage.setItem(STORAGE_KEYS.WORDS, JSON.stringify(words));
-        return true;
-    } catch (error) {
-        // localStorage 용량 초과 처리
-        if (error.name === 'QuotaExceededError' || error.code === 22) {
-            showToast('저장 공간이 부족합니다. 일부 단어를 삭제해주세요.', 'error');
+function getPrimarySense(word) {
+    return word.senses?.[0] || { partOfSpeech: '', korean: word.korean };
+}
+
+/**
+ * 같은 품사의 뜻은 합치고 새 품사는 뒤에 추가
+ * @param {WordSense[]} current - 기존 뜻
+ * @param {WordSense[]} incoming - 추가할 뜻
+ * @returns {WordSense[]}
+ */
+function mergeSenses(current, incoming) {
+    const merged = current.map(sense => ({ ...sense }));
+    incoming.forEach(sense => {
+        const existing = merged.find(item => item.partOfSpeech === sense.partOfSpeech);
+        if (existing) {
+            existing.korean = mergeMeanings(existing.korean, sense.korean);
         } else {
-            showToast('단어 저장에 실패했습니다.', 'error');
+            merged.push({ ...sense });
         }
-        return false;
-    }
+    });
+    return merged;
 }
 
 /**
- * 테마 로드
- * @returns {string} 테마 ('light' | 'dark')
+ * 여러 줄 입력을 목록으로 (빈 줄 제외)
+ * @param {string} text - 입력 값
+ * @returns {string[]}
  */
-function loadTheme() {
-    const savedTheme = localStorage.getItem(STORAGE_KEYS.THEME);
-    if (savedTheme) {
-        return savedTheme;
-    }
-    // 시스템 테마 감지
-    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+function splitLines(text) {
+    return normalizeTextList(String(text ?? '').split(/\r?\n/));
 }
 
 /**
- * 테마 저장
- * @param {string} theme - 저장할 테마
+ * 쉼표로 나열된 입력을 목록으로
+ * @param {string} text - 입력 값
+ * @returns {string[]}
  */
-function saveTheme(theme) {
-    localStorage.setItem(STORAGE_KEYS.THEME, theme);
+function splitCommaList(text) {
+    return normalizeTextList(String(text ?? '').split(','));
+}
+
+/**
+ * 품사별 뜻 편집기 생성 (단어 추가 폼, 인라인 수정에서 사용)
+ * 줄마다 품사 선택과 뜻 입력이 있고, 줄을 추가/삭제할 수 있음
+ * @param {HTMLElement} container - 편집기를 그릴 요소
+ * @param {WordSense[]} senses - 처음 표시할 뜻
+ * @returns {Object} { getSenses, setSenses, focus }
+ */
+function createSensesEditor(container, senses = []) {
+    container.classList.add('senses-editor');
+
+    const list = document.createElement('div');
+    list.className = 'senses-editor__list';
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn--small btn--outline senses-editor__add';
+    addBtn.textContent = '+ 뜻 추가';
+
+    const addRow = (sense = { partOfSpeech: '', korean: '' }) => {
+        const row = document.createElement('div');
+        row.className = 'senses-editor__row';
+        row.innerHTML = `
+            <select class="form-select senses-editor__pos" aria-label="품사">
+                <option value="">품사</option>
+                ${Object.entries(PART_OF_SPEECH_LABELS).map(([key, label]) => `
+                    <option value="${key}">${label}</option>
+                `).join('')}
+            </select>
+            <input type="text" class="form-input senses-editor__korean" placeholder="한국어 뜻 (쉼표로 여러 개)"
+                   maxlength="200" aria-label="한국어 뜻">
+            <button type="button" class="btn btn--small btn--outline senses-editor__remove" aria-label="뜻 삭제">×</button>
+        `;
+        row.querySelector('.senses-editor__pos').value = sense.partOfSpeech;
+        row.querySelector('.senses-editor__korean').value = sense.korean;
+        row.querySelector('.senses-editor__remove').addEventListener('click', () => {
+            row.remove();
+            if (list.children.length === 0) addRow();
+        });
+        list.appendChild(row);
+        return row;
+    };
+
+    const setSenses = (nextSenses) => {
+        list.innerHTML = '';
+        (nextSenses.length > 0 ? nextSenses : [undefined]).forEach(sense => addRow(sense));
+    };
+
+    addBtn.addEventListener('click', () => {
+        addRow().querySelector('.senses-editor__korean').focus();
+    });
+
+    container.innerHTML = '';
+    container.append(list, addBtn);
+    setSenses(senses);
+
+    return {
+        getSenses: () => normalizeSenses([...list.children].map(row => ({
+            partOfSpeech: row.querySelector('.senses-editor__pos').value,
+            korean: row.querySelector('.senses-editor__korean').value
+        }))),
+        setSenses,
+        focus: () => list.querySelector('.senses-editor__korean')?.focus()
+    };
 }
 
 // ========================================
-// Theme Functions
+// Storage Adapter (IndexedDB / localStorage)
 // ========================================
 
+// IndexedDB 데이터베이스 정보 (저장소를 추가할 때는 버전을 올림)
+const DB_NAME = 'vocab-test-generator';
+const DB_VERSION = 6;  // 2: 덱 저장소 추가, 3: 사전 검색 캐시 추가, 4: 지난 시험지 추가, 5: 채점 결과 추가, 6: 손상된 단어 보관소 추가
+
+// 레코드 저장소 이름 (모든 레코드는 id를 키로 사용)
+const STORES = {
+    WORDS: 'words',      // 단어
+    REVIEWS: 'reviews',  // 채점 기록 로그
+    DECKS: 'decks',      // 덱 (단어장)
+    LOOKUPS: 'lookups',  // 온라인 사전 검색 캐시
+    TESTS: 'tests',      // 지난 시험지
+    SCORES: 'scores',    // 종이 시험 학생별 채점 결과
+    CORRUPT_WORDS: 'corrupt_words'  // 읽을 수 없는 단어 레코드 보관 (IndexedDB 전용)
+};
+
+// localStorage 대체 저장 시 저장소별 키
+const LOCAL_STORAGE_STORE_KEYS = {
+    [STORES.WORDS]: STORAGE_KEYS.WORDS,
+    [STORES.REVIEWS]: STORAGE_KEYS.REVIEWS,
+    [STORES.DECKS]: STORAGE_KEYS.DECKS,
+    [STORES.LOOKUPS]: STORAGE_KEYS.LOOKUPS,
+    [STORES.TESTS]: STORAGE_KEYS.TESTS,
+    [STORES.SCORES]: STORAGE_KEYS.SCORES
+};
+
 /**
- * 테마 적용
- * @param {string} theme - 적용할 테마 ('light' | 'dark')
+ * 채점 기록 로그 구조
+ * @typedef {Object} ReviewLogEntry
+ * @property {string} id - 고유 식별자
+ * @property {string} wordId - 단어 ID
+ * @property {boolean} correct - 정답 여부
+ * @property {string} reviewedAt - 채점 일시 (ISO 8601 형식)
+ * @property {string} source - 기록 출처 (예: 'quiz', 종이 시험 채점은 'paper')
+ * @property {string} [scoreId] - 종이 시험 채점 결과 ID (채점을 고칠 때 기록도 함께 수정)
  */
-function applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-    saveTheme(theme);
+
+/**
+ * 저장소 어댑터 인터페이스
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - 표시용 이름
+ * @property {function(string): Promise<Object[]>} getAll - 저장소의 모든 레코드
+ * @property {function(string, Object[]): Promise<void>} putMany - 레코드 추가/갱신
+ * @property {function(string, string[]): Promise<void>} removeMany - ID로 레코드 삭제
+ * @property {function(string, Object[]): Promise<void>} replaceAll - 저장소 전체 교체
+ */
+
+/** @type {StorageAdapter} 현재 사용 중인 저장소 (init에서 결정) */
+let storage = null;
+
+/**
+ * IDBRequest를 Promise로 변환
+ * @param {IDBRequest} request - IndexedDB 요청
+ * @returns {Promise<*>} 요청 결과
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
 /**
- * 테마 토글
+ * 트랜잭션 완료를 Promise로 변환
+ * @param {IDBTransaction} transaction - IndexedDB 트랜잭션
+ * @returns {Promise<void>}
  */
-function toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
-    const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-    applyTheme(newTheme);
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('트랜잭션이 중단되었습니다.'));
+    });
 }
 
-// ========================================
-// Dictionary & Translation API
-// ========================================
-const DICTIONARY_API_URL = 'https://api.dictionaryapi.dev/api/v2/entries/en/';
-const TRANSLATE_API_URL = 'https://api.mymemory.translated.net/get';
+/**
+ * IndexedDB 열기 (없는 저장소는 생성)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(name => {
+            if (!db.objectStoreNames.contains(name)) {
+                db.createObjectStore(name, { keyPath: 'id' });
+            }
+        });
+    };
+    return promisifyRequest(request);
+}
 
 /**
- * 영어 단어를 한국어로 번역
- * @param {string} word - 번역할 영어 단어
- * @returns {Promise<string|null>} 한국어 번역 또는 null
+ * IndexedDB 저장소 어댑터 생성
+ * @param {IDBDatabase} db - 열린 데이터베이스
+ * @returns {StorageAdapter}
  */
-async function translateToKorean(word) {
-    try {
-        const url = `${TRANSLATE_API_URL}?q=${encodeURIComponent(word)}&langpair=en|ko`;
-        const response = await fetch(url);
+function createIndexedDbAdapter(db) {
+    // 레코드 단위로 쓰고, 한 번의 호출은 한 트랜잭션으로 처리
+    const write = (storeName, callback) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        callback(transaction.objectStore(storeName));
+        return promisifyTransaction(transaction);
+    };
 
-        if (!response.ok) {
-            throw new Error('번역 API 오류');
+    return {
+        name: 'IndexedDB',
+        getAll(storeName) {
+            return promisifyRequest(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+        },
+        putMany(storeName, records) {
+            return write(storeName, store => records.forEach(record => store.put(record)));
+        },
+        removeMany(storeName, ids) {
+            return write(storeName, store => ids.forEach(id => store.delete(id)));
+        },
+        replaceAll(storeName, records) {
+            return write(storeName, store => {
+                store.clear();
+                records.forEach(record => store.put(record));
+            });
         }
+    };
+}
 
-        const data = await response.json();
+/**
+ * localStorage 저장소 어댑터 (IndexedDB를 쓸 수 없을 때 사용)
+ * 저장소마다 레코드 배열 하나를 JSON으로 저장
+ * @type {StorageAdapter}
+ */
+const localStorageAdapter = {
+    name: 'localStorage',
+    async getAll(storeName) {
+        const data = localStorage.getItem(LOCAL_STORAGE_STORE_KEYS[storeName]);
+        return data ? JSON.parse(data) : [];
+    },
+    async putMany(storeName, records) {
+        // 기존 순서를 유지하면서 같은 ID는 갱신 (읽지 못해 건너뛴 레코드도 그대로 남김)
+        const byId = new Map((await this.getAll(storeName)).map((record, index) => [record?.id ?? Symbol(index), record]));
+        records.forEach(record => byId.set(record.id, record));
+        await this.replaceAll(storeName, [...byId.values()]);
+    },
+    async removeMany(storeName, ids) {
+        const removed = new Set(ids);
+        const records = await this.getAll(storeName);
+        await this.replaceAll(storeName, records.filter(record => !removed.has(record?.id)));
+    },
+    async replaceAll(storeName, records) {
+        localStorage.setItem(LOCAL_STORAGE_STORE_KEYS[storeName], JSON.stringify(records));
+    },
 
-        if (data.responseStatus === 200 && data.responseData?.translatedText) {
-            const translated = data.responseData.translatedText;
-            // 번역 결과가 원본과 같으면 실패로 처리
-            if (translated.toLowerCase() === word.toLowerCase()) {
-                return null;
-            }
-            return translated;
+    /**
+     * 읽을 수 없는 단어 데이터를 문자열 그대로 따로 보관하고 원래 키는 비움
+     * (다음 저장 때 덮어쓰거나 계속 읽기에 실패하지 않도록)
+     * @returns {boolean} 보관 성공 여부 (보관할 데이터가 없으면 false)
+     */
+    preserveCorruptWords() {
+        const data = localStorage.getItem(STORAGE_KEYS.WORDS);
+        if (data === null) return false;
+        try {
+            localStorage.setItem(STORAGE_KEYS.CORRUPT_WORDS, data);
+            localStorage.removeItem(STORAGE_KEYS.WORDS);
+            return true;
+        } catch (error) {
+            console.error('손상된 단어 데이터 보관 실패:', error);
+            return false;
         }
+    }
+};
 
-        return null;
+/**
+ * 사용할 저장소 결정
+ * file:// 로 열었거나 시크릿 모드 등으로 IndexedDB를 열 수 없으면 localStorage 사용
+ * @returns {Promise<StorageAdapter>}
+ */
+async function createStorage() {
+    if (!window.indexedDB) {
+        return localStorageAdapter;
+    }
+    try {
+        return createIndexedDbAdapter(await openDatabase());
     } catch (error) {
-        console.error('번역 오류:', error);
-        throw error;
+        console.warn('IndexedDB를 사용할 수 없어 localStorage에 저장합니다:', error);
+        return localStorageAdapter;
     }
 }
 
 /**
- * 사전 API에서 단어 정의를 가져와서 한국어로 번역
- * @param {string} word - 검색할 영어 단어
- * @returns {Promise<Object>} { korean: 한글뜻, partOfSpeech: 품사 }
+ * 이전 버전이 localStorage에 저장한 단어를 IndexedDB로 한 번만 옮김
+ * 이미 있는 ID는 건너뛰고, 옮긴 뒤에는 localStorage 키를 삭제
  */
-async function lookupWord(word) {
-    try {
-        // 1. 먼저 단어 자체를 한국어로 번역 시도
-        const directTranslation = await translateToKorean(word);
+async function migrateLocalStorageWords() {
+    if (localStorage.getItem(STORAGE_KEYS.WORDS) === null) return;
 
-        // 2. 사전 API에서 품사 정보 가져오기
-        let partOfSpeech = '';
-        try {
-            const dictResponse = await fetch(`${DICTIONARY_API_URL}${encodeURIComponent(word.toLowerCase())}`);
-            if (dictResponse.ok) {
-                const dictData = await dictResponse.json();
-                if (dictData?.[0]?.meanings?.[0]?.partOfSpeech) {
-                    partOfSpeech = getPartOfSpeechKorean(dictData[0].meanings[0].partOfSpeech);
-                }
-            }
-        } catch (e) {
-            // 사전 API 실패해도 번역은 사용
-        }
+    const legacyWords = await localStorageAdapter.getAll(STORES.WORDS);
+    if (!Array.isArray(legacyWords)) {
+        throw new Error('단어 목록이 배열이 아닙니다.');
+    }
 
-        if (directTranslation) {
-            const result = partOfSpeech ? `(${partOfSpeech}) ${directTranslation}` : directTranslation;
-            return result;
+    const loadable = legacyWords.filter(isLoadableWordRecord);
+    const existingIds = new Set((await storage.getAll(STORES.WORDS)).map(word => word.id));
+    const newWords = loadable.filter(word => !existingIds.has(word.id)).map(migrateWord);
+    await storage.putMany(STORES.WORDS, newWords);
+
+    // 읽지 못한 단어가 있으면 원래 데이터를 통째로 보관 (없으면 키만 삭제)
+    const droppedCount = legacyWords.length - loadable.length;
+    if (droppedCount > 0) {
+        localStorageAdapter.preserveCorruptWords();
+        showToast(`이전 버전의 단어 중 읽을 수 없는 ${droppedCount}개는 옮기지 않고 따로 보관했습니다.`, 'warning', 6000);
+    } else {
+        localStorage.removeItem(STORAGE_KEYS.WORDS);
+    }
+
+    if (newWords.length > 0) {
+        showToast(`저장 방식이 바뀌어 단어 ${newWords.length}개를 새 저장소로 옮겼습니다.`, 'info', 4000);
+    }
+}
+
+/**
+ * 저장 실패 알림 (용량 초과는 해결 방법 안내)
+ * @param {Error} error - 저장 중 발생한 오류
+ */
+function handleStorageError(error) {
+    console.error('저장 실패:', error);
+
+    const isQuotaExceeded = error && (error.name === 'QuotaExceededError' || error.code === 22);
+    if (isQuotaExceeded) {
+        showToast('저장 공간이 부족합니다. 백업 파일을 저장한 뒤 필요 없는 단어를 삭제해주세요.', 'error', 6000);
+    } else {
+        showToast('저장에 실패했습니다.', 'error');
+    }
+}
+
+/**
+ * 저장소에서 단어 목록 로드 (추가된 순서로 정렬)
+ * @returns {Promise<Word[]>} 단어 배열
+ */
+async function loadWords() {
+    if (storage !== localStorageAdapter) {
+        try {
+            await migrateLocalStorageWords();
+        } catch (error) {
+            // 옮기지 못한 예전 데이터만 따로 보관하고 IndexedDB의 단어는 그대로 읽음
+            console.error('단어 옮기기 실패:', error);
+            if (localStorageAdapter.preserveCorruptWords()) {
+                showToast('이전 버전의 단어 데이터를 읽을 수 없어 따로 보관했습니다. 백업 파일이 있으면 복원해주세요.', 'warning', 6000);
+            } else {
+                showToast('이전 버전의 단어 데이터를 읽을 수 없습니다.', 'error', 6000);
+            }
+        }
+    }
+
+    try {
+        const records = await storage.getAll(STORES.WORDS);
+        if (!Array.isArray(records)) {
+            throw new Error('단어 목록이 배열이 아닙니다.');
+        }
+
+        // 레코드 하나가 잘못돼도 나머지는 읽음 (건너뛴 레코드는 저장소에 그대로 남음)
+        const words = records.filter(isLoadableWordRecord);
+        const droppedCount = records.length - words.length;
+        if (droppedCount > 0) {
+            console.warn('읽을 수 없는 단어 레코드:', records.filter(word => !isLoadableWordRecord(word)));
+            showToast(`저장된 단어 중 읽을 수 없는 ${droppedCount}개를 건너뛰었습니다.`, 'warning', 6000);
+        }
+        return words
+            .map(migrateWord)
+            .sort((a, b) => Date.parse(a.dateAdded) - Date.parse(b.dateAdded));
+    } catch (error) {
+        console.error('단어 로드 실패:', error);
+        // 복원하거나 사용자가 확인하기 전까지 단어 저장을 막아 원본을 덮어쓰지 않음
+        const preserved = await preserveCorruptWords();
+        state.wordsLoadError = { preserved };
+        showToast(preserved
+            ? '저장된 단어 데이터를 읽을 수 없습니다. 원본은 따로 보관했으니 백업 파일로 복원해주세요.'
+            : '저장된 단어 데이터를 읽을 수 없습니다. 백업 파일로 복원하기 전까지 단어는 저장되지 않습니다.', 'error', 6000);
+        return [];
+    }
+}
+
+/**
+ * 읽을 수 없는 단어 데이터를 현재 저장소의 손상 데이터 보관소에 그대로 옮겨 둠
+ * @returns {Promise<boolean>} 보관 성공 여부
+ */
+async function preserveCorruptWords() {
+    if (storage === localStorageAdapter) {
+        return localStorageAdapter.preserveCorruptWords();
+    }
+    try {
+        const records = await storage.getAll(STORES.WORDS);
+        await storage.putMany(STORES.CORRUPT_WORDS, records);
+        return true;
+    } catch (error) {
+        console.error('손상된 단어 데이터 보관 실패:', error);
+        return false;
+    }
+}
+
+/**
+ * 단어를 읽지 못한 상태에서 처음 저장할 때 사용자 확인
+ * 확인하면 (보관해 둔 경우) 읽지 못한 단어를 비우고 저장을 허용
+ * @returns {Promise<boolean>} 저장해도 되면 true
+ */
+async function confirmWordsOverwrite() {
+    const { preserved } = state.wordsLoadError;
+    const message = preserved
+        ? '저장된 단어 데이터를 읽지 못해 따로 보관해 두었습니다.\n백업 파일로 복원하지 않고 계속하면 읽지 못한 단어 없이 새로 저장합니다. 계속할까요?'
+        : '저장된 단어 데이터를 읽지 못했고 따로 보관하지도 못했습니다.\n계속하면 읽지 못한 데이터를 덮어쓸 수 있습니다. 계속할까요?';
+    if (!confirm(message)) return false;
+
+    if (preserved && storage !== localStorageAdapter && !await replaceAllWords([])) {
+        return false;
+    }
+    state.wordsLoadError = null;
+    return true;
+}
+
+/**
+ * 레코드 추가/갱신 (실패하면 알림)
+ * @param {string} storeName - 저장소 이름
+ * @param {Object[]} records - 저장할 레코드
+ * @returns {Promise<boolean>} 성공 여부
+ */
+async function putRecords(storeName, records) {
+    try {
+        await storage.putMany(storeName, records);
+        return true;
+    } catch (error) {
+        handleStorageError(error);
+        return false;
+    }
+}
+
+/**
+ * 추가되거나 바뀐 단어만 저장
+ * @param {Word[]} words - 저장할 단어 배열
+ * @returns {Promise<boolean>} 성공 여부
+ */
+async function saveWords(words) {
+    if (state.wordsLoadError && !await confirmWordsOverwrite()) {
+        return false;
+    }
+    state.statsStale = true;
+    return putRecords(STORES.WORDS, words);
+}
+
+/**
+ * 단어 목록 전체 교체 (백업 전체 복원용)
+ * @param {Word[]} words - 새 단어 배열
+ * @returns {Promise<boolean>} 성공 여부
+ */
+async function replaceAllWords(words) {
+    state.statsStale = true;
+    try {
+        await storage.replaceAll(STORES.WORDS, words);
+        return true;
+    } catch (error) {
+        handleStorageError(error);
+        return false;
+    }
+}
+
+/**
+ * ID로 레코드 삭제 (실패하면 알림)
+ * @param {string} storeName - 저장소 이름
+ * @param {string[]} ids - 삭제할 레코드 ID 배열
+ * @returns {Promise<boolean>} 성공 여부
+ */
+async function removeRecords(storeName, ids) {
+    try {
+        await storage.removeMany(storeName, ids);
+        return true;
+    } catch (error) {
+        handleStorageError(error);
+        return false;
+    }
+}
+
+/**
+ * 단어 삭제
+ * @param {string[]} wordIds - 삭제할 단어 ID 배열
+ * @returns {Promise<boolean>} 성공 여부
+ */
+function deleteWords(wordIds) {
+    state.statsStale = true;
+    return removeRecords(STORES.WORDS, wordIds);
+}
+
+/**
+ * 덱 목록 로드 (만든 순서로 정렬)
+ * @returns {Promise<Deck[]>}
+ */
+async function loadDecks() {
+    try {
+        const decks = await storage.getAll(STORES.DECKS);
+        return decks.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    } catch (error) {
+        console.error('덱 로드 실패:', error);
+        return [];
+    }
+}
+
+/**
+ * 덱 저장
+ * @param {Deck[]} decks - 저장할 덱 배열
+ * @returns {Promise<boolean>} 성공 여부
+ */
+function saveDecks(decks) {
+    return putRecords(STORES.DECKS, decks);
+}
+
+/**
+ * 채점 기록 로그 로드
+ * @returns {Promise<ReviewLogEntry[]>}
+ */
+async function loadReviewLog() {
+    try {
+        return await storage.getAll(STORES.REVIEWS);
+    } catch (error) {
+        console.error('채점 기록 로드 실패:', error);
+        return [];
+    }
+}
+
+/**
+ * 채점 기록 로그 추가
+ * @param {ReviewLogEntry[]} entries - 추가할 기록
+ * @returns {Promise<boolean>} 성공 여부
+ */
+async function appendReviewLog(entries) {
+    try {
+        await storage.putMany(STORES.REVIEWS, entries);
+        return true;
+    } catch (error) {
+        console.error('채점 기록 저장 실패:', error);
+        return false;
+    }
+}
+
+/**
+ * 데이터 관리 섹션에 현재 저장 위치 표시
+ */
+function renderStorageStatus() {
+    if (!elements.storageStatus) return;
+    elements.storageStatus.textContent = storage === localStorageAdapter
+        ? '저장 위치: localStorage (이 브라우저에서 IndexedDB를 사용할 수 없어 대체 저장 중)'
+        : '저장 위치: 이 브라우저의 IndexedDB';
+}
+
+// ========================================
+// LocalStorage Functions (설정, 테마, 통계 기록)
+// ========================================
+
+/**
+ * 시험지 설정 로드 (저장된 값이 없으면 기본값)
+ * @returns {TestSettings} 시험지 설정
+ */
+function loadSettings() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+        return normalizeSettings(data ? JSON.parse(data) : {});
+    } catch (error) {
+        console.error('설정 로드 실패:', error);
+        return { ...DEFAULT_TEST_SETTINGS };
+    }
+}
+
+/**
+ * 숫자를 범위 안으로 제한 (숫자가 아니면 기본값)
+ * @param {number} value - 값
+ * @param {number} min - 최솟값
+ * @param {number} max - 최댓값
+ * @param {number} fallback - 숫자가 아닐 때 쓸 값
+ * @returns {number}
+ */
+function clampNumber(value, min, max, fallback) {
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+/**
+ * 저장된 설정을 기본값과 합치고 잘못된 값 정리
+ * @param {Object} saved - 저장된 설정
+ * @returns {TestSettings} 시험지 설정
+ */
+function normalizeSettings(saved) {
+    const settings = { ...DEFAULT_TEST_SETTINGS, ...saved };
+
+    // 이전 버전의 빈칸 채우기 뜻 힌트 설정(clozeHint)을 meaningHint로 옮김
+    if ('clozeHint' in settings) {
+        if (saved.meaningHint === undefined) {
+            settings.meaningHint = settings.clozeHint;
+        }
+        delete settings.clozeHint;
+    }
+
+    // 잘못된 값은 기본값으로 되돌림
+    if (!TEST_TYPE_LABELS[settings.testType]) {
+        settings.testType = DEFAULT_TEST_SETTINGS.testType;
+    }
+    if (!QUESTION_TYPE_LABELS[settings.questionType]) {
+        settings.questionType = DEFAULT_TEST_SETTINGS.questionType;
+    }
+    settings.choiceCount = settings.choiceCount === 5 ? 5 : 4;
+    if (!ANSWER_KEY_LABELS[settings.answerKey]) {
+        settings.answerKey = DEFAULT_TEST_SETTINGS.answerKey;
+    }
+    settings.questionCount = Math.max(0, parseInt(settings.questionCount, 10) || 0);
+    settings.shuffle = settings.shuffle !== false;
+    settings.versionCount = clampNumber(parseInt(settings.versionCount, 10), 1, TEST_VERSION_LABELS.length, 1);
+    settings.alternateDirections = settings.alternateDirections === true;
+    settings.meaningHint = settings.meaningHint !== false;
+    settings.dictationRepeat = clampNumber(parseInt(settings.dictationRepeat, 10), 1, 5, DEFAULT_TEST_SETTINGS.dictationRepeat);
+    settings.dictationRate = clampNumber(parseFloat(settings.dictationRate), 0.5, 1.5, DEFAULT_TEST_SETTINGS.dictationRate);
+    settings.dictationPause = clampNumber(parseInt(settings.dictationPause, 10), 1, 30, DEFAULT_TEST_SETTINGS.dictationPause);
+    if (!PAPER_SIZES[settings.paperSize]) {
+        settings.paperSize = DEFAULT_TEST_SETTINGS.paperSize;
+    }
+    settings.layoutColumns = parseInt(settings.layoutColumns, 10) === 2 ? 2 : 1;
+    settings.fontSize = clampNumber(parseInt(settings.fontSize, 10), MIN_TEST_FONT_SIZE, MAX_TEST_FONT_SIZE,
+        DEFAULT_TEST_SETTINGS.fontSize);
+    settings.testTitle = typeof settings.testTitle === 'string'
+        ? settings.testTitle.trim().slice(0, TEST_TITLE_MAX_LENGTH)
+        : '';
+    settings.schoolName = typeof settings.schoolName === 'string'
+        ? settings.schoolName.trim().slice(0, SCHOOL_NAME_MAX_LENGTH)
+        : '';
+    settings.schoolLogo = typeof settings.schoolLogo === 'string' && SCHOOL_LOGO_PATTERN.test(settings.schoolLogo)
+        ? settings.schoolLogo
+        : '';
+    settings.headerFields = Array.isArray(settings.headerFields)
+        ? Object.keys(HEADER_FIELD_LABELS).filter(key => settings.headerFields.includes(key))
+        : [];
+    settings.pageNumbers = settings.pageNumbers !== false;
+    settings.deckQuotas = Array.isArray(settings.deckQuotas)
+        ? settings.deckQuotas
+            .filter(quota => quota && typeof quota.deckId === 'string')
+            .map(quota => ({ deckId: quota.deckId, count: Math.max(0, parseInt(quota.count, 10) || 0) }))
+        : [];
+
+    return settings;
+}
+
+/**
+ * 시험지 설정 저장
+ * @param {TestSettings} settings - 저장할 설정
+ */
+function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+        return true;
+    } catch (error) {
+        console.error('설정 저장 실패:', error);
+        return false;
+    }
+}
+
+/**
+ * 테마 로드
+ * @returns {string} 테마 ('light' | 'dark')
+ */
+function loadTheme() {
+    const savedTheme = localStorage.getItem(STORAGE_KEYS.THEME);
+    if (savedTheme) {
+        return savedTheme;
+    }
+    // 시스템 테마 감지
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+/**
+ * 테마 저장
+ * @param {string} theme - 저장할 테마
+ */
+function saveTheme(theme) {
+    localStorage.setItem(STORAGE_KEYS.THEME, theme);
+}
+
+/**
+ * 날짜별 외운 단어 수 기록 로드
+ * @returns {Object<string, number>} 날짜(YYYY-MM-DD)별 외운 단어 수
+ */
+function loadMasteryHistory() {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEYS.MASTERY_HISTORY));
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch (error) {
+        console.error('외운 단어 기록 로드 실패:', error);
+        return {};
+    }
+}
+
+/**
+ * 날짜별 외운 단어 수 기록 저장
+ * @param {Object<string, number>} history - 날짜별 외운 단어 수
+ */
+function saveMasteryHistory(history) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.MASTERY_HISTORY, JSON.stringify(history));
+    } catch (error) {
+        console.error('외운 단어 기록 저장 실패:', error);
+    }
+}
+
+// ========================================
+// Study History & Scheduling (SM-2)
+// ========================================
+
+// SM-2 기본 난이도 계수 및 최소값
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * 새 학습 기록 생성 (바로 복습 대상)
+ * @param {string} dueDate - 첫 복습일 (YYYY-MM-DD)
+ * @returns {ReviewHistory} 학습 기록
+ */
+function createReviewHistory(dueDate = toLocalDateKey(new Date())) {
+    return {
+        attempts: 0,
+        correct: 0,
+        lastReviewed: null,
+        ease: DEFAULT_EASE,
+        interval: 0,
+        repetitions: 0,
+        dueDate
+    };
+}
+
+/**
+ * 저장소에서 읽은 단어 레코드를 읽을 수 있는지 하나씩 확인
+ * id, 영어, 뜻, 추가 날짜만 있으면 읽고, 나머지 필드는 migrateWord가 기본값으로 고침
+ * @param {*} word - 저장된 레코드
+ * @returns {boolean} 읽을 수 있으면 true
+ */
+function isLoadableWordRecord(word) {
+    return Boolean(word) && typeof word === 'object' &&
+        ['id', 'english', 'korean'].every(field => typeof word[field] === 'string' && word[field].trim() !== '') &&
+        typeof word.dateAdded === 'string' && !Number.isNaN(Date.parse(word.dateAdded));
+}
+
+/**
+ * 이전 버전에서 저장된 단어를 현재 구조로 변환 (잘못된 필드는 기본값으로 고침)
+ * 학습 기록이 없던 단어는 추가된 날부터 복습 대상이 됨
+ * @param {Object} word - 저장된 단어 객체
+ * @returns {Word} 변환된 단어 객체
+ */
+function migrateWord(word) {
+    const defaults = createReviewHistory(toLocalDateKey(word.dateAdded || new Date()));
+    // 예전 단어는 "(명) 사과" 같은 뜻 문자열에서 품사별 뜻을 만듦
+    const senses = Array.isArray(word.senses) && word.senses.length > 0
+        ? normalizeSenses(word.senses)
+        : parseSenses(word.korean);
+    return {
+        ...word,
+        korean: senses.length > 0 ? formatSenses(senses) : word.korean,
+        senses,
+        phonetic: typeof word.phonetic === 'string' ? word.phonetic.trim() : '',
+        examples: normalizeTextList(word.examples),
+        synonyms: normalizeTextList(word.synonyms),
+        mastered: word.mastered === true,
+        category: normalizeCategory(word.category) || DEFAULT_CATEGORY,
+        deckIds: Array.isArray(word.deckIds) ? word.deckIds.filter(id => typeof id === 'string') : [],
+        review: { ...defaults, ...(word.review && typeof word.review === 'object' ? word.review : {}) }
+    };
+}
+
+/**
+ * 채점 결과를 학습 기록에 반영 (SM-2)
+ * 정답은 품질 4, 오답은 품질 1로 계산
+ * @param {Word} word - 단어 객체 (review가 갱신됨)
+ * @param {boolean} correct - 정답 여부
+ * @param {Date} reviewedAt - 채점 시각
+ */
+function recordReview(word, correct, reviewedAt = new Date()) {
+    const review = word.review || createReviewHistory();
+    const quality = correct ? 4 : 1;
+
+    review.attempts++;
+    if (correct) {
+        review.correct++;
+        review.repetitions++;
+        if (review.repetitions === 1) {
+            review.interval = 1;
+        } else if (review.repetitions === 2) {
+            review.interval = 6;
+        } else {
+            review.interval = Math.round(review.interval * review.ease);
+        }
+    } else {
+        // 틀리면 처음부터 다시, 다음 날 복습
+        review.repetitions = 0;
+        review.interval = 1;
+    }
+
+    const ease = review.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    review.ease = Math.max(MIN_EASE, Math.round(ease * 100) / 100);
+    review.lastReviewed = reviewedAt.toISOString();
+    review.dueDate = addDays(toLocalDateKey(reviewedAt), review.interval);
+
+    word.review = review;
+}
+
+/**
+ * 퀴즈/시험 채점 결과를 단어들의 학습 기록에 반영하고 저장
+ * 채점 한 건마다 기록 로그도 남김 (단어 저장에 실패하면 학습 기록을 되돌리고 로그도 남기지 않음)
+ * @param {Object[]} results - 채점 결과 ({ item: { wordId }, correct })
+ * @param {string} source - 기록 출처
+ * @returns {Promise<number>} 기록된 단어 수 (저장 실패 시 0)
+ */
+async function applyReviewResults(results, source = 'quiz') {
+    const reviewedAt = new Date();
+    const reviewedWords = [];
+    const snapshots = new Map();
+    const logEntries = [];
+
+    results.forEach(({ item, correct }) => {
+        const word = state.words.find(w => w.id === item.wordId);
+        if (!word) return;
+        if (!snapshots.has(word)) {
+            snapshots.set(word, { ...word.review });
+        }
+        recordReview(word, correct, reviewedAt);
+        reviewedWords.push(word);
+        logEntries.push({
+            id: generateId(),
+            wordId: word.id,
+            correct,
+            reviewedAt: reviewedAt.toISOString(),
+            source
+        });
+    });
+
+    if (reviewedWords.length === 0) return 0;
+
+    if (!await saveWords([...snapshots.keys()])) {
+        snapshots.forEach((review, word) => {
+            word.review = review;
+        });
+        return 0;
+    }
+    await appendReviewLog(logEntries);
+    applyFilters();
+    return reviewedWords.length;
+}
+
+/**
+ * 오늘 복습할 단어인지 확인
+ * @param {Word} word - 단어 객체
+ * @param {string} today - 오늘 날짜 (YYYY-MM-DD)
+ * @returns {boolean} 복습일이 오늘이거나 지났으면 true
+ */
+function isWordDue(word, today = toLocalDateKey(new Date())) {
+    return !word.review || word.review.dueDate <= today;
+}
+
+/**
+ * 단어 목록에 표시할 학습 기록 요약
+ * @param {Word} word - 단어 객체
+ * @returns {string} 예: "정답 3/4 · 다음 복습 10월 20일"
+ */
+function formatReviewSummary(word) {
+    const review = word.review;
+    if (!review || review.attempts === 0) {
+        return '아직 채점 기록 없음';
+    }
+
+    const [, month, day] = review.dueDate.split('-');
+    const dueLabel = isWordDue(word) ? '오늘 복습' : `다음 복습 ${parseInt(month)}월 ${parseInt(day)}일`;
+    return `정답 ${review.correct}/${review.attempts} · ${dueLabel}`;
+}
+
+// ========================================
+// Backup & Restore (JSON)
+// ========================================
+
+// 백업 파일 식별자와 형식 버전
+const BACKUP_APP_ID = 'vocab-test-generator';
+const BACKUP_VERSION = 6;  // 2: 채점 기록 로그(reviews) 추가, 3: 덱(decks) 추가, 4: 지난 시험지(tests) 추가, 5: 채점 결과(scores) 추가, 6: 외운 단어 기록(masteryHistory) 추가
+
+/**
+ * 단어 배열 구조 검증
+ * @param {*} words - 검증할 값
+ * @returns {string[]} 오류 메시지 배열 (비어 있으면 정상)
+ */
+function validateWordRecords(words) {
+    if (!Array.isArray(words)) {
+        return ['단어 목록(words)이 배열이 아닙니다.'];
+    }
+
+    const errors = [];
+    words.forEach((word, index) => {
+        const label = `${index + 1}번째 단어`;
+        if (!word || typeof word !== 'object') {
+            errors.push(`${label}가 객체가 아닙니다.`);
+            return;
+        }
+        ['id', 'english', 'korean'].forEach(field => {
+            if (typeof word[field] !== 'string' || word[field].trim() === '') {
+                errors.push(`${label}의 ${field} 값이 없거나 문자열이 아닙니다.`);
+            }
+        });
+        if (word.mastered !== undefined && typeof word.mastered !== 'boolean') {
+            errors.push(`${label}의 mastered 값이 true/false가 아닙니다.`);
+        }
+        if (typeof word.dateAdded !== 'string' || Number.isNaN(Date.parse(word.dateAdded))) {
+            errors.push(`${label}의 dateAdded 날짜 형식이 올바르지 않습니다.`);
+        }
+        if (word.category !== undefined && typeof word.category !== 'string') {
+            errors.push(`${label}의 category 값이 문자열이 아닙니다.`);
+        }
+        if (word.deckIds !== undefined && !Array.isArray(word.deckIds)) {
+            errors.push(`${label}의 deckIds 값이 배열이 아닙니다.`);
+        }
+        ['senses', 'examples', 'synonyms'].forEach(field => {
+            if (word[field] !== undefined && !Array.isArray(word[field])) {
+                errors.push(`${label}의 ${field} 값이 배열이 아닙니다.`);
+            }
+        });
+        if (word.phonetic !== undefined && typeof word.phonetic !== 'string') {
+            errors.push(`${label}의 phonetic 값이 문자열이 아닙니다.`);
+        }
+        if (word.review !== undefined && (typeof word.review !== 'object' || word.review === null)) {
+            errors.push(`${label}의 review 값이 객체가 아닙니다.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * 백업 파일 구조 검증
+ * @param {*} data - JSON.parse 결과
+ * @returns {string[]} 오류 메시지 배열 (비어 있으면 정상)
+ */
+function validateBackup(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['백업 파일의 최상위 값이 객체가 아닙니다.'];
+    }
+    if (data.app !== BACKUP_APP_ID) {
+        return ['이 앱에서 만든 백업 파일이 아닙니다.'];
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > BACKUP_VERSION) {
+        return [`지원하지 않는 백업 버전입니다: ${data.version}`];
+    }
+
+    const errors = validateWordRecords(data.words);
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || data.settings === null)) {
+        errors.push('설정(settings) 값이 객체가 아닙니다.');
+    }
+    if (data.theme !== undefined && !['light', 'dark'].includes(data.theme)) {
+        errors.push(`알 수 없는 테마입니다: ${data.theme}`);
+    }
+    if (data.reviews !== undefined) {
+        const validReviews = Array.isArray(data.reviews) && data.reviews.every(entry =>
+            entry && typeof entry.id === 'string' && typeof entry.wordId === 'string' &&
+            typeof entry.correct === 'boolean' && !Number.isNaN(Date.parse(entry.reviewedAt)));
+        if (!validReviews) {
+            errors.push('채점 기록(reviews) 형식이 올바르지 않습니다.');
+        }
+    }
+    if (data.decks !== undefined) {
+        const validDecks = Array.isArray(data.decks) && data.decks.every(deck =>
+            deck && typeof deck.id === 'string' && typeof deck.name === 'string' && deck.name.trim() !== '');
+        if (!validDecks) {
+            errors.push('덱(decks) 형식이 올바르지 않습니다.');
+        }
+    }
+    if (data.tests !== undefined) {
+        const validTests = Array.isArray(data.tests) && data.tests.every(test =>
+            test && typeof test.id === 'string' && !Number.isNaN(Date.parse(test.createdAt)) &&
+            Array.isArray(test.words) && Array.isArray(test.versions) && test.versions.length > 0);
+        if (!validTests) {
+            errors.push('지난 시험지(tests) 형식이 올바르지 않습니다.');
+        }
+    }
+    if (data.scores !== undefined) {
+        const validScores = Array.isArray(data.scores) && data.scores.every(score =>
+            score && typeof score.id === 'string' && typeof score.testId === 'string' &&
+            typeof score.student === 'string' && Array.isArray(score.results) &&
+            !Number.isNaN(Date.parse(score.gradedAt)));
+        if (!validScores) {
+            errors.push('채점 결과(scores) 형식이 올바르지 않습니다.');
+        }
+    }
+    if (data.masteryHistory !== undefined) {
+        const history = data.masteryHistory;
+        const validHistory = history && typeof history === 'object' && !Array.isArray(history) &&
+            Object.entries(history).every(([date, count]) => /^\d{4}-\d{2}-\d{2}$/.test(date) && Number.isInteger(count) && count >= 0);
+        if (!validHistory) {
+            errors.push('외운 단어 기록(masteryHistory) 형식이 올바르지 않습니다.');
+        }
+    }
+    return errors;
+}
+
+/**
+ * 백업 데이터 생성
+ * @returns {Promise<Object>} 단어, 덱, 채점 기록, 지난 시험지, 채점 결과, 외운 단어 기록, 설정, 테마를 담은 백업 객체
+ */
+async function createBackup() {
+    return {
+        app: BACKUP_APP_ID,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        words: state.words,
+        decks: state.decks,
+        reviews: await loadReviewLog(),
+        tests: state.testHistory,
+        scores: state.scores,
+        masteryHistory: loadMasteryHistory(),
+        settings: state.settings,
+        theme: document.documentElement.getAttribute('data-theme') || loadTheme()
+    };
+}
+
+/**
+ * 텍스트를 파일로 다운로드
+ * @param {string} content - 파일 내용
+ * @param {string} fileName - 파일명
+ * @param {string} mimeType - MIME 타입
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // 다운로드가 시작된 뒤 URL 해제
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 백업 파일 다운로드 핸들러
+ */
+async function handleBackupDownload() {
+    const backup = await createBackup();
+    downloadFile(JSON.stringify(backup, null, 2), `영어단어백업_${getTimestamp()}.json`, 'application/json');
+    showToast(`단어 ${backup.words.length}개를 백업했습니다.`, 'success');
+}
+
+/**
+ * 백업 파일 복원 핸들러
+ */
+async function handleRestoreFile() {
+    const file = elements.restoreFile.files[0];
+    if (!file) return;
+
+    // 같은 파일을 다시 선택해도 change 이벤트가 발생하도록 초기화
+    elements.restoreFile.value = '';
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        console.error('백업 파일 읽기 실패:', error);
+        showToast('백업 파일을 읽을 수 없습니다. JSON 형식이 아닙니다.', 'error', 5000);
+        return;
+    }
+
+    const errors = validateBackup(data);
+    if (errors.length > 0) {
+        const more = errors.length > 1 ? ` 외 ${errors.length - 1}건` : '';
+        showToast(`백업 파일 형식이 올바르지 않습니다: ${errors[0]}${more}`, 'error', 6000);
+        return;
+    }
+
+    const mode = elements.restoreMode.value;
+    if (mode === 'replace') {
+        const confirmed = confirm(`현재 단어 ${state.words.length}개를 모두 지우고 백업의 단어 ${data.words.length}개로 바꾸시겠습니까?`);
+        if (!confirmed) return;
+    }
+
+    await restoreBackup(data, mode);
+}
+
+/**
+ * 검증된 백업 데이터 적용
+ * @param {Object} data - 백업 객체
+ * @param {string} mode - 'replace' (전체 교체) | 'merge' (ID 기준 병합)
+ */
+async function restoreBackup(data, mode) {
+    const snapshot = state.words;
+    const restoredWords = data.words.map(migrateWord);
+    let addedCount = restoredWords.length;
+    let updatedCount = 0;
+
+    if (mode === 'merge') {
+        // 같은 ID는 백업 내용으로 갱신, 없는 ID는 추가
+        const merged = [...state.words];
+        addedCount = 0;
+        restoredWords.forEach(word => {
+            const index = merged.findIndex(w => w.id === word.id);
+            if (index === -1) {
+                merged.push(word);
+                addedCount++;
+            } else {
+                merged[index] = word;
+                updatedCount++;
+            }
+        });
+        state.words = merged;
+    } else {
+        state.words = restoredWords;
+    }
+
+    // 단어를 읽지 못한 상태면 합치기도 전체 교체로 저장 (읽지 못한 레코드가 섞이지 않도록)
+    const saved = mode === 'merge' && !state.wordsLoadError
+        ? await saveWords(restoredWords)
+        : await replaceAllWords(state.words);
+    if (!saved) {
+        state.words = snapshot;
+        return;
+    }
+    state.wordsLoadError = null;
+    clearHistory();
+
+    // 채점 기록은 버전 2, 덱은 버전 3, 지난 시험지는 버전 4, 채점 결과는 버전 5, 외운 단어 기록은 버전 6 이상 백업에만 있음
+    // 외운 단어 기록은 병합하면 지금 기록이 없는 날짜만 채움
+    if (data.masteryHistory) {
+        saveMasteryHistory(mode === 'merge'
+            ? { ...data.masteryHistory, ...loadMasteryHistory() }
+            : { ...data.masteryHistory });
+    }
+
+    const restoredDecks = (data.decks || []).map(normalizeDeck);
+    try {
+        if (mode === 'merge') {
+            await storage.putMany(STORES.DECKS, restoredDecks);
+            if (data.reviews) await storage.putMany(STORES.REVIEWS, data.reviews);
+            if (data.tests) await storage.putMany(STORES.TESTS, data.tests);
+            if (data.scores) await storage.putMany(STORES.SCORES, data.scores);
+        } else {
+            await storage.replaceAll(STORES.DECKS, restoredDecks);
+            if (data.reviews) await storage.replaceAll(STORES.REVIEWS, data.reviews);
+            if (data.tests) await storage.replaceAll(STORES.TESTS, data.tests);
+            if (data.scores) await storage.replaceAll(STORES.SCORES, data.scores);
+        }
+    } catch (error) {
+        console.error('덱/채점 기록/지난 시험지 복원 실패:', error);
+        showToast('단어는 복원했지만 덱, 채점 기록, 지난 시험지 중 일부를 복원하지 못했습니다.', 'warning', 5000);
+    }
+    state.decks = await loadDecks();
+    state.testHistory = await loadTestHistory();
+    state.scores = await loadScores();
+    renderDeckOptions();
+    renderTestHistory();
+    renderScoreReport();
+
+    // 전체 교체 시에는 설정과 테마도 백업 시점으로 되돌림
+    if (mode === 'replace') {
+        if (data.settings) {
+            state.settings = normalizeSettings(data.settings);
+            saveSettings(state.settings);
+            renderTestSettings();
+        }
+        if (data.theme) {
+            applyTheme(data.theme);
+        }
+    }
+
+    updateDateFilterRange();
+    applyFilters();
+
+    const message = mode === 'merge'
+        ? `백업에서 단어 ${addedCount}개를 추가하고 ${updatedCount}개를 갱신했습니다.`
+        : `백업에서 단어 ${addedCount}개를 복원했습니다.`;
+    showToast(message, 'success');
+}
+
+// ========================================
+// Export (CSV / TSV / Anki)
+// ========================================
+
+// 내보내기 형식
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8' },
+    anki: { label: 'Anki', extension: 'txt', mimeType: 'text/plain;charset=utf-8' }
+};
+
+/**
+ * CSV 필드 이스케이프 (쉼표, 따옴표, 줄바꿈이 있으면 따옴표로 감쌈)
+ * @param {*} value - 필드 값
+ * @returns {string} CSV 필드
+ */
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * TSV/Anki 필드 정리 (탭과 줄바꿈은 공백으로)
+ * @param {*} value - 필드 값
+ * @returns {string} TSV 필드
+ */
+function toTsvField(value) {
+    return String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * 표 데이터를 CSV 또는 TSV 텍스트로 변환
+ * @param {string[][]} rows - 머리글을 포함한 행 배열
+ * @param {string} format - 'csv' | 'tsv'
+ * @returns {string} 파일 내용
+ */
+function buildDelimitedText(rows, format) {
+    if (format === 'csv') {
+        // Excel에서 한글이 깨지지 않도록 BOM 추가
+        return '\uFEFF' + rows.map(row => row.map(toCsvField).join(',')).join('\r\n');
+    }
+    return rows.map(row => row.map(toTsvField).join('\t')).join('\n');
+}
+
+/**
+ * 단어의 Anki 태그 생성 (추가 날짜, 암기 상태, 주제)
+ * @param {Word|undefined} word - 단어 객체
+ * @returns {string} 공백으로 구분된 태그
+ */
+function getAnkiTags(word) {
+    if (!word) return '';
+    return [
+        `added-${toLocalDateKey(word.dateAdded)}`,
+        word.mastered ? 'mastered' : 'learning',
+        `topic-${word.category}`
+    ].join(' ');
+}
+
+/**
+ * 내보낼 카드 목록 생성
+ * @param {string} source - 'words' (필터된 단어) | 'test' (생성된 시험지)
+ * @returns {Object[]} { front, back, word, number } 배열
+ */
+function getExportCards(source) {
+    if (source === 'test') {
+        return state.generatedTest.words.map(item => ({
+            number: item.number,
+            front: item.question,
+            back: formatAnswer(item),
+            word: state.words.find(w => w.id === item.wordId)
+        }));
+    }
+
+    return state.filteredWords.map(word => ({
+        front: word.english,
+        back: word.korean,
+        word
+    }));
+}
+
+/**
+ * 내보내기 파일 내용 생성
+ * @param {Object[]} cards - getExportCards 결과
+ * @param {string} source - 'words' | 'test'
+ * @param {string} format - 'csv' | 'tsv' | 'anki'
+ * @returns {string} 파일 내용
+ */
+function buildExportContent(cards, source, format) {
+    if (format === 'anki') {
+        // Anki 텍스트 가져오기 형식: 앞면 \t 뒷면 \t 태그
+        const header = ['#separator:tab', '#html:false', '#tags column:3'];
+        const lines = cards.map(card => [card.front, card.back, getAnkiTags(card.word)].map(toTsvField).join('\t'));
+        return [...header, ...lines].join('\n');
+    }
+
+    const rows = source === 'test'
+        ? [['number', 'question', 'answer'], ...cards.map(card => [card.number, card.front, card.back])]
+        : [
+            ['english', 'korean', 'mastered', 'dateAdded', 'category', 'phonetic', 'synonyms', 'examples'],
+            ...cards.map(card => [
+                card.front,
+                card.back,
+                card.word.mastered,
+                toLocalDateKey(card.word.dateAdded),
+                card.word.category,
+                card.word.phonetic,
+                card.word.synonyms.join(', '),
+                card.word.examples.join(' | ')
+            ])
+        ];
+    return buildDelimitedText(rows, format);
+}
+
+/**
+ * 내보내기 핸들러
+ */
+function handleExport() {
+    const source = elements.exportSource.value;
+    const format = elements.exportFormat.value;
+    const formatInfo = EXPORT_FORMATS[format];
+
+    if (source === 'test' && !state.generatedTest) {
+        showToast('먼저 시험지를 생성해주세요.', 'warning');
+        return;
+    }
+    if (source === 'words' && state.filteredWords.length === 0) {
+        showToast('내보낼 단어가 없습니다. 필터를 확인해주세요.', 'warning');
+        return;
+    }
+
+    const cards = getExportCards(source);
+    const baseName = source === 'test' ? '영어단어시험지' : '영어단어';
+    const suffix = format === 'anki' ? '_Anki' : '';
+
+    downloadFile(
+        buildExportContent(cards, source, format),
+        `${baseName}${suffix}_${getTimestamp()}.${formatInfo.extension}`,
+        formatInfo.mimeType
+    );
+    showToast(`${cards.length}개 항목을 ${formatInfo.label} 파일로 내보냈습니다.`, 'success');
+}
+
+// ========================================
+// Theme Functions
+// ========================================
+
+/**
+ * 테마 적용
+ * @param {string} theme - 적용할 테마 ('light' | 'dark')
+ */
+function applyTheme(theme) {
+    document.documentElement.setAttribute('data-theme', theme);
+    saveTheme(theme);
+}
+
+/**
+ * 테마 토글
+ */
+function toggleTheme() {
+    const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
+    const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+    applyTheme(newTheme);
+}
+
+// ========================================
+// Dictionary Providers (사전 검색)
+// ========================================
+const DICTIONARY_API_URL = 'https://api.dictionaryapi.dev/api/v2/entries/en/';
+const TRANSLATE_API_URL = 'https://api.mymemory.translated.net/get';
+
+// 저장소에 포함된 오프라인 영한 단어장
+const OFFLINE_DICTIONARY_URL = 'dictionary/en-ko.json';
+
+/**
+ * 사전 검색 결과
+ * @typedef {Object} LookupResult
+ * @property {string} english - 찾은 단어 (사전 표제어)
+ * @property {WordSense[]} senses - 품사별 뜻
+ * @property {string} phonetic - 발음 기호 (없으면 빈 문자열)
+ * @property {string[]} examples - 예문
+ * @property {string[]} synonyms - 유의어
+ * @property {string} provider - 결과를 준 사전 ID
+ */
+
+/**
+ * 사전 제공자
+ * 새 사전은 같은 모양의 객체를 DICTIONARY_PROVIDERS에 추가하면 됨
+ * @typedef {Object} DictionaryProvider
+ * @property {string} id - 사전 ID
+ * @property {string} label - 표시 이름
+ * @property {boolean} online - 네트워크가 필요한지 (필요하면 결과를 저장소에 캐시)
+ * @property {function(string): Promise<LookupResult|null>} lookup - 소문자 단어로 검색
+ */
+
+// 오프라인 단어장은 한 번만 내려받아 재사용 ({ 단어: [[품사, 뜻], ...] })
+let offlineDictionaryPromise = null;
+
+/**
+ * 오프라인 단어장 로드
+ * @returns {Promise<Object<string, string[][]>>}
+ */
+function loadOfflineDictionary() {
+    if (!offlineDictionaryPromise) {
+        offlineDictionaryPromise = fetch(OFFLINE_DICTIONARY_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`단어장 파일을 불러올 수 없습니다: ${OFFLINE_DICTIONARY_URL}`);
+                }
+                return response.json();
+            })
+            .then(data => data.entries || {})
+            .catch(error => {
+                // 실패한 결과를 캐시하지 않아 다음 검색 때 다시 시도
+                offlineDictionaryPromise = null;
+                throw error;
+            });
+    }
+    return offlineDictionaryPromise;
+}
+
+/**
+ * 변화형(복수형, 과거형, -ing 등)에서 원형 후보 만들기
+ * @param {string} word - 소문자 단어
+ * @returns {string[]} 검색해 볼 단어 (입력 단어가 먼저)
+ */
+function getBaseFormCandidates(word) {
+    const candidates = [word];
+    const add = (candidate) => {
+        if (candidate.length > 1 && !candidates.includes(candidate)) {
+            candidates.push(candidate);
+        }
+    };
+
+    if (word.endsWith('ies')) add(`${word.slice(0, -3)}y`);
+    if (word.endsWith('es')) add(word.slice(0, -2));
+    if (word.endsWith('s') && !word.endsWith('ss')) add(word.slice(0, -1));
+    if (word.endsWith('ied')) add(`${word.slice(0, -3)}y`);
+    if (word.endsWith('ed')) {
+        const stem = word.slice(0, -2);
+        add(stem);
+        add(`${stem}e`);
+        if (/([^aeiou])\1$/.test(stem)) add(stem.slice(0, -1));
+    }
+    if (word.endsWith('ing')) {
+        const stem = word.slice(0, -3);
+        add(stem);
+        add(`${stem}e`);
+        if (/([^aeiou])\1$/.test(stem)) add(stem.slice(0, -1));
+    }
+    if (word.endsWith('er')) add(word.slice(0, -2));
+    if (word.endsWith('est')) add(word.slice(0, -3));
+
+    return candidates;
+}
+
+/**
+ * 오프라인 단어장 사전 (기본)
+ * @type {DictionaryProvider}
+ */
+const offlineDictionaryProvider = {
+    id: 'offline',
+    label: '오프라인 단어장',
+    online: false,
+    async lookup(word) {
+        const entries = await loadOfflineDictionary();
+        const headword = getBaseFormCandidates(word).find(candidate => entries[candidate]);
+        if (!headword) return null;
+
+        return {
+            english: headword,
+            senses: entries[headword].map(([partOfSpeech, korean]) => ({ partOfSpeech, korean })),
+            phonetic: '',
+            examples: [],
+            synonyms: [],
+            provider: this.id
+        };
+    }
+};
+
+// 영영 사전 응답에서 가져올 예문·유의어 최대 개수
+const LOOKUP_EXAMPLE_LIMIT = 3;
+const LOOKUP_SYNONYM_LIMIT = 5;
+
+/**
+ * 영영 사전 API 응답에서 품사, 발음, 예문, 유의어 추출
+ * @param {Object[]} entries - api.dictionaryapi.dev 응답
+ * @returns {Object} { partOfSpeech, phonetic, examples, synonyms }
+ */
+function parseDictionaryApiEntries(entries) {
+    const meanings = entries.flatMap(entry => entry.meanings || []);
+    const definitions = meanings.flatMap(meaning => meaning.definitions || []);
+    const phonetic = entries
+        .flatMap(entry => [entry.phonetic, ...(entry.phonetics || []).map(item => item.text)])
+        .find(text => typeof text === 'string' && text.trim());
+
+    return {
+        partOfSpeech: meanings[0]?.partOfSpeech ? getPartOfSpeechKorean(meanings[0].partOfSpeech) : '',
+        phonetic: phonetic ? phonetic.trim() : '',
+        examples: normalizeTextList(definitions.map(definition => definition.example))
+            .slice(0, LOOKUP_EXAMPLE_LIMIT),
+        synonyms: normalizeTextList([
+            ...meanings.flatMap(meaning => meaning.synonyms || []),
+            ...definitions.flatMap(definition => definition.synonyms || [])
+        ]).slice(0, LOOKUP_SYNONYM_LIMIT)
+    };
+}
+
+/**
+ * 온라인 사전 (번역 API + 영영 사전 API의 품사, 발음, 예문, 유의어)
+ * @type {DictionaryProvider}
+ */
+const onlineDictionaryProvider = {
+    id: 'online',
+    label: '온라인 사전',
+    online: true,
+    async lookup(word) {
+        // 1. 먼저 단어 자체를 한국어로 번역 시도
+        const korean = await translateToKorean(word);
+        if (!korean) return null;
+
+        // 2. 사전 API에서 품사, 발음, 예문, 유의어 가져오기
+        let details = { partOfSpeech: '', phonetic: '', examples: [], synonyms: [] };
+        try {
+            const dictResponse = await fetch(`${DICTIONARY_API_URL}${encodeURIComponent(word)}`);
+            if (dictResponse.ok) {
+                const dictData = await dictResponse.json();
+                if (Array.isArray(dictData)) {
+                    details = parseDictionaryApiEntries(dictData);
+                }
+            }
+        } catch (e) {
+            // 사전 API 실패해도 번역은 사용
+        }
+
+        return {
+            english: word,
+            senses: [{ partOfSpeech: details.partOfSpeech, korean }],
+            phonetic: details.phonetic,
+            examples: details.examples,
+            synonyms: details.synonyms,
+            provider: this.id
+        };
+    }
+};
+
+// 사용할 수 있는 사전 (ID별)
+const DICTIONARY_PROVIDERS = {
+    [offlineDictionaryProvider.id]: offlineDictionaryProvider,
+    [onlineDictionaryProvider.id]: onlineDictionaryProvider
+};
+
+// 기본으로 검색할 사전 순서 (네트워크 없이 동작)
+const DEFAULT_DICTIONARY_PROVIDER_IDS = [offlineDictionaryProvider.id];
+
+/**
+ * 검색할 사전 ID 목록 로드 (앞에서부터 차례로 검색)
+ * @returns {string[]}
+ */
+function loadDictionaryProviderIds() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.DICTIONARY) || 'null');
+        const ids = Array.isArray(saved?.providers)
+            ? saved.providers.filter(id => DICTIONARY_PROVIDERS[id])
+            : [];
+        return ids.length > 0 ? ids : [...DEFAULT_DICTIONARY_PROVIDER_IDS];
+    } catch (error) {
+        console.error('사전 설정 로드 실패:', error);
+        return [...DEFAULT_DICTIONARY_PROVIDER_IDS];
+    }
+}
+
+/**
+ * 검색할 사전 ID 목록 저장
+ * @param {string[]} providerIds - 사전 ID 배열
+ */
+function saveDictionaryProviderIds(providerIds) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.DICTIONARY, JSON.stringify({ providers: providerIds }));
+    } catch (error) {
+        console.error('사전 설정 저장 실패:', error);
+    }
+}
+
+// 온라인 사전 검색 결과 캐시 (처음 검색할 때 저장소에서 읽음, 키: "사전ID:단어")
+let lookupCache = null;
+
+/**
+ * 저장된 검색 결과 캐시 로드
+ * @returns {Promise<Map<string, LookupResult|null>>}
+ */
+async function loadLookupCache() {
+    if (!lookupCache) {
+        lookupCache = new Map();
+        try {
+            const records = await storage.getAll(STORES.LOOKUPS);
+            records.forEach(record => lookupCache.set(record.id, record.result));
+        } catch (error) {
+            console.error('사전 캐시 로드 실패:', error);
+        }
+    }
+    return lookupCache;
+}
+
+/**
+ * 검색 결과를 캐시에 저장 (찾지 못한 결과도 저장해 다시 요청하지 않음)
+ * @param {string} key - "사전ID:단어"
+ * @param {LookupResult|null} result - 검색 결과
+ */
+async function cacheLookupResult(key, result) {
+    lookupCache.set(key, result);
+    try {
+        await storage.putMany(STORES.LOOKUPS, [{ id: key, result, cachedAt: getTimestamp() }]);
+    } catch (error) {
+        // 캐시 저장에 실패해도 검색 결과는 사용
+        console.error('사전 캐시 저장 실패:', error);
+    }
+}
+
+/**
+ * 설정된 사전을 차례로 검색 (온라인 사전은 캐시 먼저 확인)
+ * @param {string} word - 검색할 영어 단어
+ * @returns {Promise<LookupResult|null>} 검색 결과 (모든 사전에 없으면 null)
+ * @throws {Error} 찾지 못했고 검색 중 오류(네트워크 등)가 있었던 경우
+ */
+async function lookupWord(word) {
+    const key = word.trim().toLowerCase();
+    let lastError = null;
+
+    for (const id of loadDictionaryProviderIds()) {
+        const provider = DICTIONARY_PROVIDERS[id];
+
+        try {
+            let result;
+            if (provider.online) {
+                const cache = await loadLookupCache();
+                const cacheKey = `${provider.id}:${key}`;
+                if (cache.has(cacheKey)) {
+                    result = cache.get(cacheKey);
+                } else {
+                    result = await provider.lookup(key);
+                    await cacheLookupResult(cacheKey, result);
+                }
+            } else {
+                result = await provider.lookup(key);
+            }
+
+            if (result) return result;
+        } catch (error) {
+            console.error(`사전 검색 오류 (${provider.label}):`, error);
+            lastError = error;
+        }
+    }
+
+    if (lastError) throw lastError;
+    return null;
+}
+
+/**
+ * 영어 단어를 한국어로 번역
+ * @param {string} word - 번역할 영어 단어
+ * @returns {Promise<string|null>} 한국어 번역 또는 null
+ */
+async function translateToKorean(word) {
+    try {
+        const url = `${TRANSLATE_API_URL}?q=${encodeURIComponent(word)}&langpair=en|ko`;
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error('번역 API 오류');
+        }
+
+        const data = await response.json();
+
+        if (data.responseStatus === 200 && data.responseData?.translatedText) {
+            const translated = data.responseData.translatedText;
+            // 번역 결과가 원본과 같으면 실패로 처리
+            if (translated.toLowerCase() === word.toLowerCase()) {
+                return null;
+            }
+            return translated;
+        }
+
+        return null;
+    } catch (error) {
+        console.error('번역 오류:', error);
+        throw error;
+    }
+}
+
+/**
+ * 품사를 한글로 변환
+ * @param {string} pos - 영어 품사
+ * @returns {string} 한글 품사
+ */
+function getPartOfSpeechKorean(pos) {
+    const posMap = {
+        'noun': '명',
+        'verb': '동',
+        'adjective': '형',
+        'adverb': '부',
+        'pronoun': '대',
+        'preposition': '전',
+        'conjunction': '접',
+        'interjection': '감',
+        'determiner': '한정',
+        'exclamation': '감'
+    };
+    return posMap[pos.toLowerCase()] || pos;
+}
+
+// ========================================
+// PDF Font (한글 글꼴)
+// ========================================
+
+// jsPDF 기본 글꼴(Helvetica)에는 한글이 없으므로 저장소의 나눔고딕을 등록해서 사용
+const PDF_FONT = {
+    family: 'NanumGothic',
+    files: {
+        normal: 'fonts/NanumGothic-Regular.ttf',
+        bold: 'fonts/NanumGothic-Bold.ttf'
+    }
+};
+
+// 글꼴 파일은 한 번만 내려받아 재사용 ({ normal, bold } base64 문자열)
+let pdfFontDataPromise = null;
+
+/**
+ * ArrayBuffer를 base64 문자열로 변환
+ * @param {ArrayBuffer} buffer - 변환할 바이너리 데이터
+ * @returns {string} base64 문자열
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+
+    // 큰 파일에서 call stack 초과를 피하기 위해 나눠서 변환
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * PDF용 한글 글꼴 파일 로드
+ * @returns {Promise<Object>} 스타일별 base64 글꼴 데이터
+ */
+function loadPdfFontData() {
+    if (!pdfFontDataPromise) {
+        const requests = Object.entries(PDF_FONT.files).map(async ([style, url]) => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`글꼴 파일을 불러올 수 없습니다: ${url}`);
+            }
+            return [style, arrayBufferToBase64(await response.arrayBuffer())];
+        });
+
+        pdfFontDataPromise = Promise.all(requests)
+            .then(entries => Object.fromEntries(entries))
+            .catch(error => {
+                // 실패한 결과를 캐시하지 않아 다음 다운로드 때 다시 시도
+                pdfFontDataPromise = null;
+                throw error;
+            });
+    }
+    return pdfFontDataPromise;
+}
+
+/**
+ * jsPDF 문서에 한글 글꼴 등록 후 기본 글꼴로 설정
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {Object} fontData - 스타일별 base64 글꼴 데이터
+ */
+function registerPdfFont(doc, fontData) {
+    Object.entries(fontData).forEach(([style, base64]) => {
+        const fileName = PDF_FONT.files[style].split('/').pop();
+        doc.addFileToVFS(fileName, base64);
+        doc.addFont(fileName, PDF_FONT.family, style);
+    });
+    doc.setFont(PDF_FONT.family, 'normal');
+}
+
+// ========================================
+// DOM Element References
+// ========================================
+const elements = {
+    // Forms
+    wordForm: null,
+    wordEnglish: null,
+    wordSenses: null,
+    wordDetails: null,
+    wordPhonetic: null,
+    wordExamples: null,
+    wordSynonyms: null,
+    wordCategory: null,
+    lookupBtn: null,
+    lookupOnline: null,
+
+    // Import Dialog
+    openImportBtn: null,
+    importDialog: null,
+    importFile: null,
+    importText: null,
+    importDelimiter: null,
+    importDuplicateMode: null,
+    importCategory: null,
+    importDeck: null,
+    importPreview: null,
+    importSummary: null,
+    importConfirmBtn: null,
+    importCancelBtn: null,
+
+    // Score Dialog (종이 시험 채점)
+    scoreDialog: null,
+    scoreTestInfo: null,
+    scoreVersionGroup: null,
+    scoreVersion: null,
+    scoreStudent: null,
+    scoreStudentOptions: null,
+    scoreMarks: null,
+    scoreTotal: null,
+    scoreFillCorrectBtn: null,
+    scoreSaveBtn: null,
+    scoreCloseBtn: null,
+    scoreTestResults: null,
+
+    // Filters
+    filterTabs: null,
+    filterTopic: null,
+    filterDate: null,
+    filterDateFrom: null,
+    filterDateTo: null,
+    resetFilterBtn: null,
+
+    // Decks
+    wordDeck: null,
+    filterDeck: null,
+    createDeckBtn: null,
+    renameDeckBtn: null,
+    deleteDeckBtn: null,
+    deckTransfer: null,
+    deckTarget: null,
+    moveWordsBtn: null,
+    copyWordsBtn: null,
+    deckQuotaGroup: null,
+    deckQuotaList: null,
+    deckQuotaStatus: null,
+    filterStatus: null,
+    filterStatusText: null,
+    filterStatusCount: null,
+
+    // Word List
+    wordSearch: null,
+    wordSort: null,
+    wordList: null,
+    wordCount: null,
+    selectionToggle: null,
+    bulkActions: null,
+    selectAll: null,
+    selectAllLabel: null,
+    selectionCount: null,
+    bulkMasteredBtn: null,
+    bulkLearningBtn: null,
+    bulkDeckGroup: null,
+    bulkDeck: null,
+    bulkMoveBtn: null,
+    bulkCategory: null,
+    bulkCategoryBtn: null,
+    bulkTestBtn: null,
+    bulkDeleteBtn: null,
+
+    // Test Generation
+    questionCount: null,
+    testType: null,
+    testShuffle: null,
+    questionType: null,
+    choiceCount: null,
+    choiceCountGroup: null,
+    meaningHint: null,
+    meaningHintGroup: null,
+    dictationSettings: null,
+    dictationRepeat: null,
+    dictationRate: null,
+    dictationPause: null,
+    answerKeyMode: null,
+    versionCount: null,
+    alternateDirections: null,
+    alternateDirectionsGroup: null,
+    testSeed: null,
+    testTitle: null,
+    schoolName: null,
+    schoolLogo: null,
+    schoolLogoPreview: null,
+    schoolLogoImage: null,
+    removeSchoolLogoBtn: null,
+    paperSize: null,
+    layoutColumns: null,
+    testFontSize: null,
+    headerFieldInputs: null,
+    pageNumbers: null,
+    generateTestBtn: null,
+    downloadPdfBtn: null,
+    testHistory: null,
+    testHistoryCount: null,
+    testHistoryList: null,
+    scoreReport: null,
+    scoreReportStudent: null,
+    scoreReportResults: null,
+
+    // Preview
+    testPreview: null,
+
+    // Statistics
+    statsTotals: null,
+    statsPeriod: null,
+    statsAdded: null,
+    statsMastery: null,
+    statsAccuracy: null,
+    statsHardest: null,
+
+    // Data Management
+    backupBtn: null,
+    restoreFile: null,
+    restoreMode: null,
+    exportSource: null,
+    exportFormat: null,
+    exportBtn: null,
+    storageStatus: null,
+
+    // Theme
+    themeToggle: null
+};
+
+/**
+ * DOM 요소 참조 초기화
+ */
+function initElements() {
+    elements.wordForm = document.getElementById('word-form');
+    elements.wordEnglish = document.getElementById('word-english');
+    elements.wordSenses = document.getElementById('word-senses');
+    elements.wordDetails = document.getElementById('word-details');
+    elements.wordPhonetic = document.getElementById('word-phonetic');
+    elements.wordExamples = document.getElementById('word-examples');
+    elements.wordSynonyms = document.getElementById('word-synonyms');
+    elements.wordCategory = document.getElementById('word-category');
+    elements.lookupBtn = document.getElementById('lookup-btn');
+    elements.lookupOnline = document.getElementById('lookup-online');
+
+    elements.openImportBtn = document.getElementById('open-import');
+    elements.importDialog = document.getElementById('import-dialog');
+    elements.importFile = document.getElementById('import-file');
+    elements.importText = document.getElementById('import-text');
+    elements.importDelimiter = document.getElementById('import-delimiter');
+    elements.importDuplicateMode = document.getElementById('import-duplicate-mode');
+    elements.importCategory = document.getElementById('import-category');
+    elements.importDeck = document.getElementById('import-deck');
+    elements.importPreview = document.getElementById('import-preview');
+    elements.importSummary = document.getElementById('import-summary');
+    elements.importConfirmBtn = document.getElementById('import-confirm');
+    elements.importCancelBtn = document.getElementById('import-cancel');
+
+    elements.scoreDialog = document.getElementById('score-dialog');
+    elements.scoreTestInfo = document.getElementById('score-test-info');
+    elements.scoreVersionGroup = document.getElementById('score-version-group');
+    elements.scoreVersion = document.getElementById('score-version');
+    elements.scoreStudent = document.getElementById('score-student');
+    elements.scoreStudentOptions = document.getElementById('score-student-options');
+    elements.scoreMarks = document.getElementById('score-marks');
+    elements.scoreTotal = document.getElementById('score-total');
+    elements.scoreFillCorrectBtn = document.getElementById('score-fill-correct');
+    elements.scoreSaveBtn = document.getElementById('score-save');
+    elements.scoreCloseBtn = document.getElementById('score-close');
+    elements.scoreTestResults = document.getElementById('score-test-results');
+
+    elements.filterTabs = document.querySelectorAll('.filter-tab');
+    elements.filterTopic = document.getElementById('filter-topic');
+    elements.wordDeck = document.getElementById('word-deck');
+    elements.filterDeck = document.getElementById('filter-deck');
+    elements.createDeckBtn = document.getElementById('deck-create');
+    elements.renameDeckBtn = document.getElementById('deck-rename');
+    elements.deleteDeckBtn = document.getElementById('deck-delete');
+    elements.deckTransfer = document.getElementById('deck-transfer');
+    elements.deckTarget = document.getElementById('deck-target');
+    elements.moveWordsBtn = document.getElementById('deck-move');
+    elements.copyWordsBtn = document.getElementById('deck-copy');
+    elements.deckQuotaGroup = document.getElementById('deck-quota-group');
+    elements.deckQuotaList = document.getElementById('deck-quota-list');
+    elements.deckQuotaStatus = document.getElementById('deck-quota-status');
+    elements.filterDate = document.getElementById('filter-date');
+    elements.filterDateFrom = document.getElementById('filter-date-from');
+    elements.filterDateTo = document.getElementById('filter-date-to');
+    elements.resetFilterBtn = document.getElementById('reset-filter');
+    elements.filterStatus = document.getElementById('filter-status');
+    elements.filterStatusText = document.querySelector('.filter-status__text');
+    elements.filterStatusCount = document.querySelector('.filter-status__count');
+
+    elements.wordSearch = document.getElementById('word-search');
+    elements.wordSort = document.getElementById('word-sort');
+    elements.wordList = document.getElementById('word-list');
+    elements.wordCount = document.getElementById('word-count');
+    elements.selectionToggle = document.getElementById('selection-toggle');
+    elements.bulkActions = document.getElementById('bulk-actions');
+    elements.selectAll = document.getElementById('select-all');
+    elements.selectAllLabel = document.getElementById('select-all-label');
+    elements.selectionCount = document.getElementById('selection-count');
+    elements.bulkMasteredBtn = document.getElementById('bulk-mastered');
+    elements.bulkLearningBtn = document.getElementById('bulk-learning');
+    elements.bulkDeckGroup = document.getElementById('bulk-deck-group');
+    elements.bulkDeck = document.getElementById('bulk-deck');
+    elements.bulkMoveBtn = document.getElementById('bulk-move');
+    elements.bulkCategory = document.getElementById('bulk-category');
+    elements.bulkCategoryBtn = document.getElementById('bulk-category-apply');
+    elements.bulkTestBtn = document.getElementById('bulk-test');
+    elements.bulkDeleteBtn = document.getElementById('bulk-delete');
+
+    elements.questionCount = document.getElementById('question-count');
+    elements.testType = document.getElementById('test-type');
+    elements.testShuffle = document.getElementById('test-shuffle');
+    elements.questionType = document.getElementById('question-type');
+    elements.choiceCount = document.getElementById('choice-count');
+    elements.choiceCountGroup = document.getElementById('choice-count-group');
+    elements.meaningHint = document.getElementById('meaning-hint');
+    elements.meaningHintGroup = document.getElementById('meaning-hint-group');
+    elements.dictationSettings = document.getElementById('dictation-settings');
+    elements.dictationRepeat = document.getElementById('dictation-repeat');
+    elements.dictationRate = document.getElementById('dictation-rate');
+    elements.dictationPause = document.getElementById('dictation-pause');
+    elements.answerKeyMode = document.getElementById('answer-key-mode');
+    elements.versionCount = document.getElementById('version-count');
+    elements.alternateDirections = document.getElementById('alternate-directions');
+    elements.alternateDirectionsGroup = document.getElementById('alternate-directions-group');
+    elements.testSeed = document.getElementById('test-seed');
+    elements.testTitle = document.getElementById('test-title');
+    elements.schoolName = document.getElementById('school-name');
+    elements.schoolLogo = document.getElementById('school-logo');
+    elements.schoolLogoPreview = document.getElementById('school-logo-preview');
+    elements.schoolLogoImage = document.getElementById('school-logo-image');
+    elements.removeSchoolLogoBtn = document.getElementById('remove-school-logo');
+    elements.paperSize = document.getElementById('paper-size');
+    elements.layoutColumns = document.getElementById('layout-columns');
+    elements.testFontSize = document.getElementById('test-font-size');
+    elements.headerFieldInputs = document.querySelectorAll('input[name="header-field"]');
+    elements.pageNumbers = document.getElementById('page-numbers');
+    elements.generateTestBtn = document.getElementById('generate-test');
+    elements.downloadPdfBtn = document.getElementById('download-pdf');
+    elements.testHistory = document.getElementById('test-history');
+    elements.testHistoryCount = document.getElementById('test-history-count');
+    elements.testHistoryList = document.getElementById('test-history-list');
+    elements.scoreReport = document.getElementById('score-report');
+    elements.scoreReportStudent = document.getElementById('score-report-student');
+    elements.scoreReportResults = document.getElementById('score-report-results');
+
+    elements.testPreview = document.getElementById('test-preview');
+
+    elements.statsTotals = document.getElementById('stats-totals');
+    elements.statsPeriod = document.getElementById('stats-period');
+    elements.statsAdded = document.getElementById('stats-added');
+    elements.statsMastery = document.getElementById('stats-mastery');
+    elements.statsAccuracy = document.getElementById('stats-accuracy');
+    elements.statsHardest = document.getElementById('stats-hardest');
+
+    elements.backupBtn = document.getElementById('backup-download');
+    elements.restoreFile = document.getElementById('restore-file');
+    elements.restoreMode = document.getElementById('restore-mode');
+    elements.exportSource = document.getElementById('export-source');
+    elements.exportFormat = document.getElementById('export-format');
+    elements.exportBtn = document.getElementById('export-download');
+    elements.storageStatus = document.getElementById('storage-status');
+
+    elements.themeToggle = document.getElementById('theme-toggle');
+}
+
+// ========================================
+// Event Handlers (Placeholder)
+// ========================================
+
+/**
+ * 이벤트 리스너 등록
+ */
+function initEventListeners() {
+    // 테마 토글
+    if (elements.themeToggle) {
+        elements.themeToggle.addEventListener('click', toggleTheme);
+    }
+
+    // 단어 추가 폼
+    if (elements.wordForm) {
+        elements.wordForm.addEventListener('submit', handleWordSubmit);
+    }
+
+    // 사전 검색 버튼
+    if (elements.lookupBtn) {
+        elements.lookupBtn.addEventListener('click', handleLookupWord);
+    }
+    if (elements.lookupOnline) {
+        elements.lookupOnline.checked = loadDictionaryProviderIds().includes(onlineDictionaryProvider.id);
+        elements.lookupOnline.addEventListener('change', handleLookupOnlineChange);
+    }
+
+    // 일괄 가져오기
+    if (elements.openImportBtn) {
+        elements.openImportBtn.addEventListener('click', openImportDialog);
+    }
+    if (elements.importFile) {
+        elements.importFile.addEventListener('change', handleImportFile);
+    }
+    if (elements.importText) {
+        elements.importText.addEventListener('input', updateImportPreview);
+    }
+    [elements.importDelimiter, elements.importDuplicateMode, elements.importCategory].forEach(select => {
+        if (select) {
+            select.addEventListener('change', updateImportPreview);
+        }
+    });
+    if (elements.importConfirmBtn) {
+        elements.importConfirmBtn.addEventListener('click', handleImportConfirm);
+    }
+    if (elements.importCancelBtn) {
+        elements.importCancelBtn.addEventListener('click', closeImportDialog);
+    }
+    if (elements.importDialog) {
+        elements.importDialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeImportDialog();
+        });
+    }
+
+    // 카테고리 필터 탭
+    elements.filterTabs.forEach(tab => {
+        tab.addEventListener('click', () => handleCategoryFilter(tab));
+    });
+
+    // 덱 필터 및 관리
+    if (elements.filterDeck) {
+        elements.filterDeck.addEventListener('change', handleDeckFilter);
+    }
+    if (elements.createDeckBtn) {
+        elements.createDeckBtn.addEventListener('click', handleCreateDeck);
+    }
+    if (elements.renameDeckBtn) {
+        elements.renameDeckBtn.addEventListener('click', handleRenameDeck);
+    }
+    if (elements.deleteDeckBtn) {
+        elements.deleteDeckBtn.addEventListener('click', handleDeleteDeck);
+    }
+    if (elements.moveWordsBtn) {
+        elements.moveWordsBtn.addEventListener('click', () => handleTransferWords(false));
+    }
+    if (elements.copyWordsBtn) {
+        elements.copyWordsBtn.addEventListener('click', () => handleTransferWords(true));
+    }
+    if (elements.deckQuotaList) {
+        elements.deckQuotaList.addEventListener('change', handleDeckQuotaChange);
+    }
+
+    // 주제 필터
+    if (elements.filterTopic) {
+        elements.filterTopic.addEventListener('change', handleTopicFilter);
+    }
+
+    // 날짜 필터
+    if (elements.filterDate) {
+        elements.filterDate.addEventListener('change', handleDatePresetChange);
+    }
+    [elements.filterDateFrom, elements.filterDateTo].forEach(input => {
+        if (input) {
+            input.addEventListener('change', handleDateInputChange);
+        }
+    });
+
+    // 필터 초기화
+    if (elements.resetFilterBtn) {
+        elements.resetFilterBtn.addEventListener('click', handleResetFilter);
+    }
+
+    // 단어 검색 및 정렬
+    if (elements.wordSearch) {
+        elements.wordSearch.addEventListener('input', handleWordSearch);
+    }
+    if (elements.wordSort) {
+        elements.wordSort.addEventListener('change', handleWordSort);
+    }
+
+    // 실행 취소 / 다시 실행 단축키
+    document.addEventListener('keydown', handleHistoryShortcut);
+
+    // 다중 선택 및 일괄 작업
+    if (elements.selectionToggle) {
+        elements.selectionToggle.addEventListener('click', toggleSelectionMode);
+    }
+    if (elements.selectAll) {
+        elements.selectAll.addEventListener('change', handleSelectAll);
+    }
+    if (elements.bulkMasteredBtn) {
+        elements.bulkMasteredBtn.addEventListener('click', () => handleBulkMastered(true));
+    }
+    if (elements.bulkLearningBtn) {
+        elements.bulkLearningBtn.addEventListener('click', () => handleBulkMastered(false));
+    }
+    if (elements.bulkMoveBtn) {
+        elements.bulkMoveBtn.addEventListener('click', handleBulkMove);
+    }
+    if (elements.bulkCategoryBtn) {
+        elements.bulkCategoryBtn.addEventListener('click', handleBulkCategory);
+    }
+    if (elements.bulkTestBtn) {
+        elements.bulkTestBtn.addEventListener('click', handleBulkTest);
+    }
+    if (elements.bulkDeleteBtn) {
+        elements.bulkDeleteBtn.addEventListener('click', handleBulkDelete);
+    }
+
+    // 시험지 설정
+    [
+        elements.questionCount,
+        elements.testType,
+        elements.testShuffle,
+        elements.questionType,
+        elements.choiceCount,
+        elements.meaningHint,
+        elements.dictationRepeat,
+        elements.dictationRate,
+        elements.dictationPause,
+        elements.answerKeyMode,
+        elements.versionCount,
+        elements.alternateDirections,
+        elements.testTitle,
+        elements.schoolName,
+        elements.paperSize,
+        elements.layoutColumns,
+        elements.testFontSize,
+        elements.pageNumbers,
+        ...(elements.headerFieldInputs || [])
+    ].forEach(input => {
+        if (input) {
+            input.addEventListener('change', handleTestSettingsChange);
+        }
+    });
+
+    // 학교 로고
+    if (elements.schoolLogo) {
+        elements.schoolLogo.addEventListener('change', handleSchoolLogoChange);
+    }
+    if (elements.removeSchoolLogoBtn) {
+        elements.removeSchoolLogoBtn.addEventListener('click', handleRemoveSchoolLogo);
+    }
+
+    // 시험지 생성
+    if (elements.generateTestBtn) {
+        elements.generateTestBtn.addEventListener('click', handleGenerateTest);
+    }
+    if (elements.downloadPdfBtn) {
+        elements.downloadPdfBtn.addEventListener('click', handleDownloadPdf);
+    }
+    if (elements.testHistoryList) {
+        elements.testHistoryList.addEventListener('click', handleTestHistoryClick);
+    }
+
+    // 종이 시험 채점
+    if (elements.scoreDialog) {
+        elements.scoreDialog.addEventListener('keydown', handleScoreDialogKeydown);
+        elements.scoreVersion.addEventListener('change', handleScoreVersionChange);
+        elements.scoreStudent.addEventListener('change', handleScoreStudentChange);
+        elements.scoreStudent.addEventListener('keydown', handleScoreStudentKeydown);
+        elements.scoreMarks.addEventListener('click', handleScoreMarksClick);
+        elements.scoreMarks.addEventListener('keydown', handleScoreMarksKeydown);
+        elements.scoreFillCorrectBtn.addEventListener('click', handleScoreFillCorrect);
+        elements.scoreSaveBtn.addEventListener('click', handleScoreSave);
+        elements.scoreCloseBtn.addEventListener('click', closeScoreDialog);
+        elements.scoreTestResults.addEventListener('click', handleScoreResultsClick);
+    }
+    if (elements.scoreReportStudent) {
+        elements.scoreReportStudent.addEventListener('change', renderScoreReport);
+    }
+
+    // 학습 통계
+    if (elements.statsPeriod) {
+        elements.statsPeriod.addEventListener('change', renderStatsDashboard);
+    }
+
+    // 백업 및 복원
+    if (elements.backupBtn) {
+        elements.backupBtn.addEventListener('click', handleBackupDownload);
+    }
+    if (elements.restoreFile) {
+        elements.restoreFile.addEventListener('change', handleRestoreFile);
+    }
+
+    // 내보내기
+    if (elements.exportBtn) {
+        elements.exportBtn.addEventListener('click', handleExport);
+    }
+}
+
+// 단어 추가 폼의 품사별 뜻 편집기 (init에서 생성)
+let wordSensesEditor = null;
+
+/**
+ * 단어 추가 핸들러
+ * @param {Event} e - Submit 이벤트
+ */
+async function handleWordSubmit(e) {
+    e.preventDefault();
+
+    const english = elements.wordEnglish.value.trim();
+    const senses = wordSensesEditor.getSenses();
+    const korean = formatSenses(senses);
+
+    // 입력값 검증
+    const validation = validateInput(english, korean);
+    if (!validation.valid) {
+        validation.errors.forEach(error => {
+            if (error.includes('영어')) {
+                showError(elements.wordEnglish, error);
+            } else {
+                showError(elements.wordSenses.querySelector('.senses-editor__korean'), error);
+            }
+        });
+        return;
+    }
+
+    // 새 단어 객체 생성
+    const newWord = createWord(english, korean, elements.wordCategory?.value, getSelectedDeckIds(elements.wordDeck), {
+        senses,
+        phonetic: elements.wordPhonetic?.value,
+        examples: splitLines(elements.wordExamples?.value),
+        synonyms: splitCommaList(elements.wordSynonyms?.value)
+    });
+
+    // 저장소에 저장한 뒤 state에 추가
+    const saved = await saveWords([newWord]);
+    if (!saved) return;
+    const before = snapshotWords([newWord.id]);
+    state.words.push(newWord);
+
+    // 입력 필드 초기화 (같은 주제를 이어서 입력하도록 주제는 유지)
+    elements.wordEnglish.value = '';
+    wordSensesEditor.setSenses([]);
+    [elements.wordPhonetic, elements.wordExamples, elements.wordSynonyms].forEach(input => {
+        if (input) input.value = '';
+    });
+    elements.wordEnglish.focus();
+
+    // 날짜 입력 범위 업데이트 및 필터 적용
+    updateDateFilterRange();
+    applyFilters();
+
+    // 성공 토스트 (실행 취소 가능)
+    recordWordChange(before, `"${english}" 단어가 추가되었습니다.`);
+}
+
+/**
+ * 덱 select 값을 덱 ID 배열로 변환 ('none'이면 빈 배열)
+ * @param {HTMLSelectElement|null} select - 덱 select 요소
+ * @returns {string[]} 덱 ID 배열
+ */
+function getSelectedDeckIds(select) {
+    const deckId = select?.value;
+    return deckId && deckId !== 'none' ? [deckId] : [];
+}
+
+/**
+ * 새 단어 객체 생성
+ * @param {string} english - 영어 단어
+ * @param {string} korean - 한국어 뜻 (details.senses가 없으면 이 문자열에서 품사별 뜻을 만듦)
+ * @param {string} category - 주제 키
+ * @param {string[]} deckIds - 넣을 덱 ID 배열
+ * @param {Object} details - { senses, phonetic, examples, synonyms } (선택)
+ * @returns {Word} 단어 객체
+ */
+function createWord(english, korean, category = DEFAULT_CATEGORY, deckIds = [], details = {}) {
+    const word = {
+        id: generateId(),
+        english: english,
+        korean: korean,
+        senses: parseSenses(korean),
+        phonetic: '',
+        examples: [],
+        synonyms: [],
+        mastered: false,
+        dateAdded: new Date().toISOString(),
+        category: normalizeCategory(category) || DEFAULT_CATEGORY,
+        deckIds: [...deckIds],
+        review: createReviewHistory()
+    };
+    applyWordEntry(word, details);
+    return word;
+}
+
+/**
+ * 사전 검색 핸들러
+ */
+async function handleLookupWord() {
+    const english = elements.wordEnglish.value.trim();
+
+    if (!english) {
+        showToast('검색할 영어 단어를 입력해주세요.', 'warning');
+        elements.wordEnglish.focus();
+        return;
+    }
+
+    // 버튼 비활성화 및 로딩 상태
+    const originalText = elements.lookupBtn.innerHTML;
+    elements.lookupBtn.disabled = true;
+    elements.lookupBtn.innerHTML = '검색 중...';
+
+    try {
+        const result = await lookupWord(english);
+
+        if (result) {
+            fillLookupResult(result);
+            wordSensesEditor.focus();
+            showToast(`"${english}"의 뜻을 ${DICTIONARY_PROVIDERS[result.provider].label}에서 찾았습니다.`, 'success');
+        } else {
+            showToast(`"${english}" 단어를 사전에서 찾을 수 없습니다. 직접 입력해주세요.`, 'warning');
+            wordSensesEditor.focus();
+        }
+    } catch (error) {
+        showToast('사전 검색 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.', 'error');
+    } finally {
+        // 버튼 원래 상태로 복원
+        elements.lookupBtn.disabled = false;
+        elements.lookupBtn.innerHTML = originalText;
+    }
+}
+
+/**
+ * 사전 검색 결과를 단어 추가 폼에 채우기
+ * 뜻은 바꾸고, 발음·예문·유의어는 결과에 있을 때만 채움
+ * @param {LookupResult} result - 검색 결과
+ */
+function fillLookupResult(result) {
+    wordSensesEditor.setSenses(normalizeSenses(result.senses));
+
+    const phonetic = result.phonetic || '';
+    const examples = normalizeTextList(result.examples);
+    const synonyms = normalizeTextList(result.synonyms);
+
+    if (phonetic && elements.wordPhonetic) elements.wordPhonetic.value = phonetic;
+    if (examples.length > 0 && elements.wordExamples) elements.wordExamples.value = examples.join('\n');
+    if (synonyms.length > 0 && elements.wordSynonyms) elements.wordSynonyms.value = synonyms.join(', ');
+    if ((phonetic || examples.length > 0 || synonyms.length > 0) && elements.wordDetails) {
+        elements.wordDetails.open = true;
+    }
+}
+
+/**
+ * 온라인 사전 사용 여부 변경 (오프라인 단어장을 먼저 검색)
+ */
+function handleLookupOnlineChange() {
+    const providerIds = loadDictionaryProviderIds().filter(id => id !== onlineDictionaryProvider.id);
+    if (elements.lookupOnline.checked) {
+        providerIds.push(onlineDictionaryProvider.id);
+    }
+    saveDictionaryProviderIds(providerIds);
+}
+
+// ========================================
+// Bulk Import (CSV / TSV / 붙여넣기)
+// ========================================
+
+// 가져오기 구분자 라벨 (한글)
+const IMPORT_DELIMITER_LABELS = {
+    tab: '탭 (TSV)',
+    dash: '하이픈 ("word - 뜻")',
+    comma: '쉼표 (CSV)'
+};
+
+// 중복 단어 처리 방식 라벨 (한글)
+const DUPLICATE_MODE_LABELS = {
+    skip: '건너뛰기',
+    overwrite: '덮어쓰기',
+    merge: '뜻 합치기'
+};
+
+// "word - 뜻" 형식의 구분자 (하이픈 앞뒤 공백 필수, 하이픈이 들어간 단어와 구분)
+const DASH_DELIMITER_PATTERN = /\s+[-–—]\s+/;
+
+/**
+ * 붙여넣은 텍스트의 구분자 자동 감지
+ * 가장 많은 줄에 나타나는 구분자를 선택 (같으면 탭 > 하이픈 > 쉼표 순)
+ * @param {string[]} lines - 빈 줄을 제외한 줄 배열
+ * @returns {string} 'tab' | 'dash' | 'comma'
+ */
+function detectDelimiter(lines) {
+    const counts = {
+        tab: lines.filter(line => line.includes('\t')).length,
+        dash: lines.filter(line => DASH_DELIMITER_PATTERN.test(line)).length,
+        comma: lines.filter(line => line.includes(',')).length
+    };
+
+    return Object.keys(counts).reduce((best, key) => (counts[key] > counts[best] ? key : best), 'tab');
+}
+
+/**
+ * CSV 한 줄 분리 (큰따옴표로 감싼 필드와 "" 이스케이프 지원)
+ * @param {string} line - CSV 한 줄
+ * @returns {string[]} 필드 배열
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * 한 줄을 칸 단위로 분리
+ * @param {string} line - 한 줄
+ * @param {string} delimiter - 'tab' | 'dash' | 'comma'
+ * @returns {string[]} 앞뒤 공백을 제거한 칸 배열
+ */
+function splitImportFields(line, delimiter) {
+    let fields;
+    if (delimiter === 'tab') {
+        fields = line.split('\t');
+    } else if (delimiter === 'comma') {
+        fields = parseCsvLine(line);
+    } else {
+        const match = DASH_DELIMITER_PATTERN.exec(line);
+        fields = match ? [line.slice(0, match.index), line.slice(match.index + match[0].length)] : [line];
+    }
+    return fields.map(field => field.trim());
+}
+
+/**
+ * 머리글 없는 줄의 칸을 영어 단어와 뜻으로 나눔
+ * 칸이 여러 개면 첫 칸이 영어, 나머지는 모두 뜻
+ * @param {string[]} fields - 칸 배열
+ * @returns {string[]} [english, korean]
+ */
+function joinImportFields(fields) {
+    const [english = '', ...rest] = fields;
+    return [english, rest.filter(Boolean).join(', ')];
+}
+
+// 머리글 열 이름 패턴 (머리글이 있으면 이름으로 열을 찾음)
+// 칸 전체가 열 이름과 같아야 머리글로 봄 ("wordy"나 "말이 많은 (뜻 주의)" 같은 단어 줄은 제외)
+const IMPORT_COLUMN_PATTERNS = {
+    english: /^(english( word)?|words?|영어( 단어)?|단어)$/i,
+    korean: /^(korean( meaning)?|meanings?|뜻|한국어( 뜻)?)$/i,
+    category: /^(category|topic|주제|분류)$/i,
+    phonetic: /^(phonetic|pronunciation|ipa|발음)$/i,
+    examples: /^(examples?|예문)$/i,
+    synonyms: /^(synonyms?|유의어)$/i
+};
+
+/**
+ * 머리글에서 영어/뜻/주제/발음/예문/유의어 열 위치 찾기
+ * @param {string[]} headerFields - 머리글 칸 배열
+ * @returns {Object} { english, korean, category, phonetic, examples, synonyms } 열 번호 (없으면 -1)
+ */
+function getImportColumns(headerFields) {
+    const columns = {};
+    Object.entries(IMPORT_COLUMN_PATTERNS).forEach(([name, pattern]) => {
+        columns[name] = headerFields.findIndex(field => pattern.test(field.trim()));
+    });
+    return columns;
+}
+
+/**
+ * 머리글 줄인지 확인 (예: "english,korean", "단어\t주제\t뜻")
+ * @param {string[]} fields - 첫 줄의 칸 배열
+ * @returns {boolean} 첫 칸이 영어 열 이름이고 다른 칸 중 하나가 뜻 열 이름이면 true
+ */
+function isImportHeader(fields) {
+    const [english = '', ...rest] = fields;
+    return IMPORT_COLUMN_PATTERNS.english.test(english.trim()) &&
+        rest.some(field => IMPORT_COLUMN_PATTERNS.korean.test(field.trim()));
+}
+
+/**
+ * 가져올 텍스트 분석
+ * @param {string} text - 파일 내용 또는 붙여넣은 텍스트
+ * @param {string} delimiterOption - 'auto' 또는 구분자
+ * @param {Word[]} existingWords - 중복 확인용 기존 단어
+ * @returns {Object} { delimiter, rows: [{ line, english, korean, category, details, errors, duplicate }] }
+ */
+function parseImportText(text, delimiterOption, existingWords) {
+    const lines = text
+        .replace(/^\uFEFF/, '')
+        .split(/\r\n|\r|\n/)
+        .map((content, index) => ({ content, line: index + 1 }))
+        .filter(({ content }) => content.trim() !== '' && !content.trim().startsWith('#'));
+
+    const delimiter = delimiterOption === 'auto'
+        ? detectDelimiter(lines.map(({ content }) => content))
+        : delimiterOption;
+
+    const existingByEnglish = new Map(existingWords.map(word => [word.english.toLowerCase(), word]));
+    const seen = new Set();
+    const rows = [];
+    let columns = null;
+
+    lines.forEach(({ content, line }, index) => {
+        const fields = splitImportFields(content, delimiter);
+        let [english, korean] = joinImportFields(fields);
+        if (index === 0 && isImportHeader(fields)) {
+            columns = getImportColumns(fields);
+            return;
+        }
+
+        // 머리글이 있으면 이름으로 찾은 열만 사용 (주제, 발음, 예문, 유의어 열 지원)
+        let categoryText = '';
+        const details = { phonetic: '', examples: [], synonyms: [] };
+        if (columns) {
+            const getField = name => (columns[name] === -1 ? '' : fields[columns[name]] || '');
+            english = getField('english');
+            korean = getField('korean');
+            categoryText = getField('category');
+            details.phonetic = getField('phonetic').trim();
+            details.examples = getField('examples').split('|').map(example => example.trim()).filter(Boolean);
+            details.synonyms = splitCommaList(getField('synonyms'));
+        }
+
+        const key = english.toLowerCase();
+        const errors = validateInput(english, korean).errors;
+        if (errors.length === 0 && seen.has(key)) {
+            errors.push('가져올 목록 안에서 중복된 단어입니다.');
+        }
+        seen.add(key);
+
+        const category = categoryText ? normalizeCategory(categoryText) : null;
+        if (categoryText && !category) {
+            errors.push(`알 수 없는 주제입니다: ${categoryText}`);
+        }
+
+        rows.push({
+            line,
+            english,
+            korean,
+            category,
+            details,
+            errors,
+            duplicate: existingByEnglish.get(key) || null
+        });
+    });
+
+    return { delimiter, rows };
+}
+
+/**
+ * 쉼표로 나열된 뜻 합치기 (이미 있는 뜻은 제외)
+ * @param {string} current - 기존 뜻
+ * @param {string} incoming - 새 뜻
+ * @returns {string} 합친 뜻
+ */
+function mergeMeanings(current, incoming) {
+    const meanings = current.split(',').map(meaning => meaning.trim()).filter(Boolean);
+    const known = new Set(meanings.map(normalizeAnswer));
+
+    incoming.split(',').map(meaning => meaning.trim()).forEach(meaning => {
+        if (meaning && !known.has(normalizeAnswer(meaning))) {
+            meanings.push(meaning);
+            known.add(normalizeAnswer(meaning));
+        }
+    });
+    return meanings.join(', ');
+}
+
+/**
+ * 가져오기 창 열기
+ */
+function openImportDialog() {
+    if (!elements.importDialog) return;
+
+    elements.importText.value = '';
+    elements.importFile.value = '';
+    elements.importDelimiter.value = 'auto';
+    updateImportPreview();
+
+    elements.importDialog.hidden = false;
+    elements.importText.focus();
+}
+
+/**
+ * 가져오기 창 닫기
+ */
+function closeImportDialog() {
+    if (!elements.importDialog) return;
+
+    elements.importDialog.hidden = true;
+    state.importPreview = null;
+}
+
+/**
+ * 파일 선택 핸들러 (내용을 텍스트 영역에 불러와 미리보기)
+ */
+async function handleImportFile() {
+    const file = elements.importFile.files[0];
+    if (!file) return;
+
+    try {
+        elements.importText.value = await file.text();
+        updateImportPreview();
+    } catch (error) {
+        console.error('파일 읽기 실패:', error);
+        showToast('파일을 읽을 수 없습니다.', 'error');
+    }
+}
+
+/**
+ * 가져오기 미리보기 갱신
+ */
+function updateImportPreview() {
+    const text = elements.importText.value;
+    const duplicateMode = elements.importDuplicateMode.value;
+
+    if (text.trim() === '') {
+        state.importPreview = null;
+        elements.importPreview.innerHTML = '<p class="empty-message">파일을 선택하거나 단어 목록을 붙여넣어 주세요.</p>';
+        elements.importSummary.textContent = '';
+        elements.importConfirmBtn.disabled = true;
+        return;
+    }
+
+    const preview = parseImportText(text, elements.importDelimiter.value, state.words);
+    state.importPreview = preview;
+
+    const validRows = preview.rows.filter(row => row.errors.length === 0);
+    const newCount = validRows.filter(row => !row.duplicate).length;
+    const duplicateCount = validRows.length - newCount;
+    const errorCount = preview.rows.length - validRows.length;
+
+    elements.importPreview.innerHTML = `
+        <table class="import-table">
+            <thead>
+                <tr>
+                    <th>줄</th>
+                    <th>영어 단어</th>
+                    <th>한국어 뜻</th>
+                    <th>주제</th>
+                    <th>상태</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${preview.rows.map(row => {
+                    let status = '<span class="import-status import-status--new">새 단어</span>';
+                    let rowClass = '';
+                    if (row.errors.length > 0) {
+                        status = `<span class="import-status import-status--error">${row.errors.map(escapeHtml).join('<br>')}</span>`;
+                        rowClass = 'import-table__row--error';
+                    } else if (row.duplicate) {
+                        status = `<span class="import-status import-status--duplicate">중복 (기존: ${escapeHtml(row.duplicate.korean)}) → ${DUPLICATE_MODE_LABELS[duplicateMode]}</span>`;
+                        rowClass = 'import-table__row--duplicate';
+                    }
+                    return `
+                        <tr class="${rowClass}">
+                            <td>${row.line}</td>
+                            <td>${escapeHtml(row.english)}</td>
+                            <td>${escapeHtml(row.korean)}</td>
+                            <td>${CATEGORY_LABELS[getImportRowCategory(row)]}</td>
+                            <td>${status}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    elements.importSummary.textContent =
+        `구분자: ${IMPORT_DELIMITER_LABELS[preview.delimiter]} · 새 단어 ${newCount}개 · 중복 ${duplicateCount}개 · 오류 ${errorCount}개`;
+
+    const importableCount = duplicateMode === 'skip' ? newCount : validRows.length;
+    elements.importConfirmBtn.disabled = importableCount === 0;
+}
+
+/**
+ * 가져올 줄에 적용될 주제 (주제 열이 없으면 기존 단어의 주제 또는 창에서 고른 주제)
+ * @param {Object} row - parseImportText의 줄
+ * @returns {string} 주제 키
+ */
+function getImportRowCategory(row) {
+    if (row.category) return row.category;
+    if (row.duplicate) return row.duplicate.category;
+    return elements.importCategory?.value || DEFAULT_CATEGORY;
+}
+
+/**
+ * 가져오기 확정 핸들러 (한 번에 저장)
+ */
+async function handleImportConfirm() {
+    const preview = state.importPreview;
+    if (!preview) return;
+
+    const duplicateMode = elements.importDuplicateMode.value;
+    const validRows = preview.rows.filter(row => row.errors.length === 0);
+
+    // 저장 실패 시 되돌리기 위한 스냅샷
+    const snapshot = state.words.map(word => ({ ...word }));
+    const importDeckIds = getSelectedDeckIds(elements.importDeck);
+    const changedWords = new Set();
+    const before = new Map();
+    let addedCount = 0;
+    let updatedCount = 0;
+
+    validRows.forEach(row => {
+        if (!row.duplicate) {
+            const newWord = createWord(row.english, row.korean, getImportRowCategory(row), importDeckIds, row.details);
+            before.set(newWord.id, null);
+            state.words.push(newWord);
+            changedWords.add(newWord);
+            addedCount++;
+            return;
+        }
+
+        const existing = state.words.find(word => word.id === row.duplicate.id);
+        if (!existing || duplicateMode === 'skip') return;
+
+        if (!before.has(existing.id)) {
+            before.set(existing.id, snapshotWord(existing));
+        }
+        const senses = parseSenses(row.korean);
+        const { phonetic, examples, synonyms } = row.details;
+        applyWordEntry(existing, duplicateMode === 'merge'
+            ? {
+                senses: mergeSenses(existing.senses, senses),
+                phonetic: existing.phonetic || phonetic,
+                examples: [...new Set([...existing.examples, ...examples])],
+                synonyms: [...new Set([...existing.synonyms, ...synonyms])]
+            }
+            : {
+                senses,
+                phonetic: phonetic || existing.phonetic,
+                examples: examples.length > 0 ? examples : existing.examples,
+                synonyms: synonyms.length > 0 ? synonyms : existing.synonyms
+            });
+        existing.category = getImportRowCategory(row);
+        existing.deckIds = [...new Set([...existing.deckIds, ...importDeckIds])];
+        changedWords.add(existing);
+        updatedCount++;
+    });
+
+    if (addedCount === 0 && updatedCount === 0) {
+        showToast('가져올 단어가 없습니다.', 'warning');
+        return;
+    }
+
+    if (!await saveWords([...changedWords])) {
+        state.words = snapshot;
+        return;
+    }
+
+    closeImportDialog();
+    updateDateFilterRange();
+    applyFilters();
+
+    recordWordChange(before, `단어 ${addedCount}개를 추가하고 ${updatedCount}개를 갱신했습니다.`);
+}
+
+/**
+ * 에러 메시지 표시
+ * @param {HTMLElement} inputElement - 입력 필드 요소
+ * @param {string} message - 에러 메시지
+ */
+function showError(inputElement, message) {
+    // 기존 에러 제거
+    clearError(inputElement);
+
+    // 에러 메시지 요소 생성
+    const errorEl = document.createElement('span');
+    errorEl.className = 'form-error';
+    errorEl.textContent = message;
+
+    // 입력 필드 아래에 에러 표시
+    inputElement.classList.add('form-input--error');
+    inputElement.parentNode.appendChild(errorEl);
+
+    // 3초 후 에러 자동 제거
+    setTimeout(() => clearError(inputElement), 3000);
+}
+
+/**
+ * 에러 메시지 제거
+ * @param {HTMLElement} inputElement - 입력 필드 요소
+ */
+function clearError(inputElement) {
+    inputElement.classList.remove('form-input--error');
+    const errorEl = inputElement.parentNode.querySelector('.form-error');
+    if (errorEl) {
+        errorEl.remove();
+    }
+}
+
+/**
+ * 카테고리 필터 핸들러
+ * @param {HTMLElement} selectedTab - 선택된 탭 요소
+ */
+function handleCategoryFilter(selectedTab) {
+    const category = selectedTab.dataset.category;
+
+    // 현재 필터 상태 업데이트
+    state.currentFilter.category = category;
+
+    // 탭 활성화 상태 업데이트
+    elements.filterTabs.forEach(tab => {
+        tab.classList.remove('filter-tab--active');
+        tab.setAttribute('aria-selected', 'false');
+    });
+    selectedTab.classList.add('filter-tab--active');
+    selectedTab.setAttribute('aria-selected', 'true');
+
+    // 필터 적용 및 렌더링
+    applyFilters();
+}
+
+/**
+ * 주제 필터 핸들러
+ */
+function handleTopicFilter() {
+    state.currentFilter.topic = elements.filterTopic.value;
+    applyFilters();
+}
+
+// 검색어 입력 지연 타이머
+let searchTimer = null;
+
+/**
+ * 검색어 입력 핸들러 (입력이 잠시 멈추면 필터 적용)
+ */
+function handleWordSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        state.currentFilter.search = elements.wordSearch.value.trim();
+        applyFilters();
+    }, 200);
+}
+
+/**
+ * 정렬 방식 변경 핸들러
+ */
+function handleWordSort() {
+    state.listView.sort = WORD_SORT_LABELS[elements.wordSort.value] ? elements.wordSort.value : 'added-asc';
+    applyFilters();
+}
+
+/**
+ * 날짜 프리셋 변경 핸들러 (선택한 범위를 날짜 입력에 채움)
+ */
+function handleDatePresetChange() {
+    state.currentFilter.datePreset = elements.filterDate.value;
+
+    if (state.currentFilter.datePreset === 'custom') {
+        // 직접 선택은 지금 입력된 날짜에서 시작
+        state.currentFilter.dateFrom = elements.filterDateFrom.value || null;
+        state.currentFilter.dateTo = elements.filterDateTo.value || null;
+    } else {
+        renderDateRangeInputs();
+    }
+    applyFilters();
+}
+
+/**
+ * 날짜 직접 입력 핸들러 (프리셋을 '직접 선택'으로 바꿈)
+ */
+function handleDateInputChange() {
+    state.currentFilter.datePreset = 'custom';
+    state.currentFilter.dateFrom = elements.filterDateFrom.value || null;
+    state.currentFilter.dateTo = elements.filterDateTo.value || null;
+    elements.filterDate.value = 'custom';
+    applyFilters();
+}
+
+/**
+ * 현재 날짜 필터의 범위 계산 (프리셋은 오늘 기준으로 매번 계산)
+ * @param {Date} now - 기준 시각
+ * @returns {Object} { from, to } 로컬 기준 YYYY-MM-DD (제한 없으면 null)
+ */
+function getDateRange(now = new Date()) {
+    const today = toLocalDateKey(now);
+    const { datePreset, dateFrom, dateTo } = state.currentFilter;
+
+    switch (datePreset) {
+        case 'today':
+            return { from: today, to: today };
+        case 'last7':
+            return { from: addDays(today, -6), to: today };
+        case 'thisMonth':
+            return { from: `${today.slice(0, 7)}-01`, to: today };
+        case 'custom':
+            // 시작과 끝을 거꾸로 입력해도 범위로 처리
+            if (dateFrom && dateTo && dateFrom > dateTo) {
+                return { from: dateTo, to: dateFrom };
+            }
+            return { from: dateFrom, to: dateTo };
+        default:
+            return { from: null, to: null };
+    }
+}
+
+/**
+ * 날짜 입력 칸에 현재 범위 표시
+ */
+function renderDateRangeInputs() {
+    if (!elements.filterDateFrom || !elements.filterDateTo) return;
+
+    const { from, to } = getDateRange();
+    elements.filterDateFrom.value = from || '';
+    elements.filterDateTo.value = to || '';
+}
+
+/**
+ * 필터 초기화 핸들러
+ */
+function handleResetFilter() {
+    // 필터 상태 초기화
+    state.currentFilter.category = 'all';
+    state.currentFilter.topic = 'all';
+    state.currentFilter.deck = 'all';
+    state.currentFilter.datePreset = 'all';
+    state.currentFilter.dateFrom = null;
+    state.currentFilter.dateTo = null;
+    state.currentFilter.search = '';
+
+    // UI 초기화 - 카테고리 탭
+    elements.filterTabs.forEach(tab => {
+        tab.classList.remove('filter-tab--active');
+        tab.setAttribute('aria-selected', 'false');
+        if (tab.dataset.category === 'all') {
+            tab.classList.add('filter-tab--active');
+            tab.setAttribute('aria-selected', 'true');
+        }
+    });
+
+    // UI 초기화 - 덱, 주제, 날짜 선택
+    renderDeckOptions();
+    if (elements.filterTopic) {
+        elements.filterTopic.value = 'all';
+    }
+    if (elements.filterDate) {
+        elements.filterDate.value = 'all';
+    }
+    renderDateRangeInputs();
+    if (elements.wordSearch) {
+        elements.wordSearch.value = '';
+    }
+
+    // 필터 적용
+    applyFilters();
+}
+
+/**
+ * 필터 적용 및 목록 업데이트
+ */
+function applyFilters() {
+    // 필터나 정렬이 바뀌면 목록을 첫 페이지부터 다시 표시
+    const viewKey = JSON.stringify([state.currentFilter, state.listView.sort]);
+    if (viewKey !== state.listView.key) {
+        state.listView.key = viewKey;
+        state.listView.limit = WORD_LIST_PAGE_SIZE;
+    }
+
+    state.filteredWords = getFilteredWords();
+    pruneSelection();
+    renderWordList();
+    updateFilterStatus();
+    updateSelectionBar();
+    renderDeckQuotaList();
+
+    // 통계는 검색·필터와 무관하므로 단어가 바뀐 뒤에만 다시 그림
+    if (state.statsStale) {
+        renderStatsDashboard();
+    }
+}
+
+/**
+ * 필터링된 단어 배열 반환
+ * @param {Object} options - { ignoreDeck: 덱 필터 무시 (덱별 출제용) }
+ * @returns {Word[]} 필터링된 단어 배열
+ */
+function getFilteredWords({ ignoreDeck = false } = {}) {
+    let filtered = [...state.words];
+
+    // 덱 필터 적용
+    const deckFilter = state.currentFilter.deck;
+    if (!ignoreDeck && deckFilter === 'none') {
+        filtered = filtered.filter(word => word.deckIds.length === 0);
+    } else if (!ignoreDeck && deckFilter !== 'all') {
+        filtered = filtered.filter(word => word.deckIds.includes(deckFilter));
+    }
+
+    // 카테고리 필터 적용
+    if (state.currentFilter.category === 'mastered') {
+        filtered = filtered.filter(word => word.mastered === true);
+    } else if (state.currentFilter.category === 'learning') {
+        filtered = filtered.filter(word => word.mastered === false);
+    } else if (state.currentFilter.category === 'due') {
+        const today = toLocalDateKey(new Date());
+        filtered = filtered.filter(word => isWordDue(word, today));
+    }
+
+    // 주제 필터 적용
+    if (state.currentFilter.topic !== 'all') {
+        filtered = filtered.filter(word => word.category === state.currentFilter.topic);
+    }
+
+    // 날짜 범위 필터 적용 (UTC가 아닌 로컬 날짜 기준으로 비교)
+    const { from, to } = getDateRange();
+    if (from || to) {
+        filtered = filtered.filter(word => {
+            const wordDate = toLocalDateKey(word.dateAdded);
+            return (!from || wordDate >= from) && (!to || wordDate <= to);
+        });
+    }
+
+    // 검색어 적용
+    if (state.currentFilter.search) {
+        filtered = filtered.filter(word => matchesWordSearch(word, state.currentFilter.search));
+    }
+
+    return sortWords(filtered, state.listView.sort);
+}
+
+/**
+ * 필터 상태 표시 업데이트
+ */
+function updateFilterStatus() {
+    if (!elements.filterStatusText || !elements.filterStatusCount) return;
+
+    // 카테고리 라벨
+    let statusText = CATEGORY_FILTER_LABELS[state.currentFilter.category];
+
+    // 덱이 선택된 경우 앞에 표시
+    if (state.currentFilter.deck === 'none') {
+        statusText = `덱 없음 · ${statusText}`;
+    } else if (state.currentFilter.deck !== 'all') {
+        statusText = `${getDeckName(state.currentFilter.deck)} · ${statusText}`;
+    }
+
+    // 주제가 선택된 경우 추가
+    if (state.currentFilter.topic !== 'all') {
+        statusText += ` · ${CATEGORY_LABELS[state.currentFilter.topic]}`;
+    }
+
+    // 날짜 범위가 있는 경우 추가
+    const dateRangeLabel = formatDateRangeLabel();
+    if (dateRangeLabel) {
+        statusText += ` (${dateRangeLabel})`;
+    }
+
+    // 검색어가 있는 경우 추가
+    if (state.currentFilter.search) {
+        statusText += ` · 검색 "${state.currentFilter.search}"`;
+    }
+
+    elements.filterStatusText.textContent = statusText;
+    elements.filterStatusCount.textContent = `${state.filteredWords.length}개`;
+}
+
+/**
+ * 날짜 입력 칸의 선택 가능 범위를 단어가 추가된 기간으로 맞춤
+ */
+function updateDateFilterRange() {
+    if (!elements.filterDateFrom || !elements.filterDateTo) return;
+
+    // 로컬 날짜 기준 가장 이른 날짜와 오늘
+    const dates = state.words.map(word => toLocalDateKey(word.dateAdded)).sort();
+    const min = dates[0] || '';
+    const max = toLocalDateKey(new Date());
+
+    [elements.filterDateFrom, elements.filterDateTo].forEach(input => {
+        input.min = min;
+        input.max = max;
+    });
+}
+
+/**
+ * 필터 상태에 표시할 날짜 범위
+ * @returns {string} 예: "최근 7일: 2026년 10월 12일 ~ 2026년 10월 18일" (제한 없으면 빈 문자열)
+ */
+function formatDateRangeLabel() {
+    const { from, to } = getDateRange();
+    if (!from && !to) return '';
+
+    let range;
+    if (from === to) {
+        range = formatDateKorean(from);
+    } else if (!to) {
+        range = `${formatDateKorean(from)} 이후`;
+    } else if (!from) {
+        range = `${formatDateKorean(to)} 이전`;
+    } else {
+        range = `${formatDateKorean(from)} ~ ${formatDateKorean(to)}`;
+    }
+
+    const preset = state.currentFilter.datePreset;
+    return preset === 'custom' ? range : `${DATE_PRESET_LABELS[preset]}: ${range}`;
+}
+
+/**
+ * 날짜를 한글 형식으로 변환
+ * @param {string} dateStr - YYYY-MM-DD 형식의 날짜 문자열
+ * @returns {string} YYYY년 MM월 DD일 형식
+ */
+function formatDateKorean(dateStr) {
+    const [year, month, day] = dateStr.split('-');
+    return `${year}년 ${parseInt(month)}월 ${parseInt(day)}일`;
+}
+
+/**
+ * 시험지 설정 UI에 현재 설정 반영
+ */
+function renderTestSettings() {
+    const settings = state.settings;
+
+    if (elements.questionCount) {
+        elements.questionCount.value = settings.questionCount > 0 ? settings.questionCount : '';
+    }
+    if (elements.testType) {
+        elements.testType.value = settings.testType;
+        // 빈칸 채우기·받아쓰기는 항상 영어 단어를 답하므로 출제 방향을 고르지 않음
+        elements.testType.disabled = settings.questionType === 'cloze' || settings.questionType === 'dictation';
+    }
+    if (elements.testShuffle) {
+        elements.testShuffle.checked = settings.shuffle;
+    }
+    if (elements.questionType) {
+        elements.questionType.value = settings.questionType;
+    }
+    if (elements.choiceCount) {
+        elements.choiceCount.value = String(settings.choiceCount);
+    }
+    if (elements.choiceCountGroup) {
+        // 보기 수는 객관식일 때만 표시
+        elements.choiceCountGroup.hidden = settings.questionType !== 'multiple-choice';
+    }
+    if (elements.meaningHint) {
+        elements.meaningHint.checked = settings.meaningHint;
+    }
+    if (elements.meaningHintGroup) {
+        elements.meaningHintGroup.hidden = settings.questionType !== 'cloze' && settings.questionType !== 'dictation';
+    }
+    if (elements.dictationSettings) {
+        elements.dictationSettings.hidden = settings.questionType !== 'dictation';
+    }
+    if (elements.dictationRepeat) {
+        elements.dictationRepeat.value = String(settings.dictationRepeat);
+    }
+    if (elements.dictationRate) {
+        elements.dictationRate.value = String(settings.dictationRate);
+    }
+    if (elements.dictationPause) {
+        elements.dictationPause.value = String(settings.dictationPause);
+    }
+    if (elements.answerKeyMode) {
+        elements.answerKeyMode.value = settings.answerKey;
+    }
+    if (elements.versionCount) {
+        elements.versionCount.value = String(settings.versionCount);
+    }
+    if (elements.alternateDirections) {
+        elements.alternateDirections.checked = settings.alternateDirections;
+    }
+    if (elements.alternateDirectionsGroup) {
+        // 빈칸 채우기·받아쓰기는 방향이 없으므로 형이 여러 개인 일반 문제에서만 표시
+        elements.alternateDirectionsGroup.hidden = settings.versionCount < 2
+            || settings.questionType === 'cloze' || settings.questionType === 'dictation';
+    }
+
+    // 시험지 레이아웃
+    if (elements.testTitle) {
+        elements.testTitle.value = settings.testTitle;
+    }
+    if (elements.schoolName) {
+        elements.schoolName.value = settings.schoolName;
+    }
+    if (elements.schoolLogoPreview) {
+        elements.schoolLogoPreview.hidden = !settings.schoolLogo;
+        elements.schoolLogoImage.src = settings.schoolLogo;
+    }
+    if (elements.paperSize) {
+        elements.paperSize.value = settings.paperSize;
+    }
+    if (elements.layoutColumns) {
+        elements.layoutColumns.value = String(settings.layoutColumns);
+    }
+    if (elements.testFontSize) {
+        // 목록에 없는 크기(예전 설정 등)는 그대로 보이도록 옵션 추가
+        const value = String(settings.fontSize);
+        if (![...elements.testFontSize.options].some(option => option.value === value)) {
+            elements.testFontSize.add(new Option(`${value}pt`, value));
+        }
+        elements.testFontSize.value = value;
+    }
+    elements.headerFieldInputs?.forEach(input => {
+        input.checked = settings.headerFields.includes(input.value);
+    });
+    if (elements.pageNumbers) {
+        elements.pageNumbers.checked = settings.pageNumbers;
+    }
+}
+
+/**
+ * 시험지 설정 변경 핸들러
+ */
+function handleTestSettingsChange() {
+    const count = parseInt(elements.questionCount?.value, 10);
+
+    state.settings = normalizeSettings({
+        ...state.settings,
+        questionCount: count > 0 ? count : 0,
+        testType: elements.testType?.value || DEFAULT_TEST_SETTINGS.testType,
+        shuffle: elements.testShuffle ? elements.testShuffle.checked : true,
+        questionType: elements.questionType?.value || DEFAULT_TEST_SETTINGS.questionType,
+        choiceCount: elements.choiceCount?.value === '5' ? 5 : 4,
+        meaningHint: elements.meaningHint ? elements.meaningHint.checked : true,
+        dictationRepeat: parseInt(elements.dictationRepeat?.value, 10),
+        dictationRate: parseFloat(elements.dictationRate?.value),
+        dictationPause: parseInt(elements.dictationPause?.value, 10),
+        answerKey: elements.answerKeyMode?.value || DEFAULT_TEST_SETTINGS.answerKey,
+        versionCount: parseInt(elements.versionCount?.value, 10),
+        alternateDirections: elements.alternateDirections ? elements.alternateDirections.checked : false,
+        testTitle: elements.testTitle?.value ?? state.settings.testTitle,
+        schoolName: elements.schoolName?.value ?? state.settings.schoolName,
+        paperSize: elements.paperSize?.value || DEFAULT_TEST_SETTINGS.paperSize,
+        layoutColumns: parseInt(elements.layoutColumns?.value, 10),
+        fontSize: parseInt(elements.testFontSize?.value, 10),
+        headerFields: elements.headerFieldInputs
+            ? [...elements.headerFieldInputs].filter(input => input.checked).map(input => input.value)
+            : state.settings.headerFields,
+        pageNumbers: elements.pageNumbers ? elements.pageNumbers.checked : true
+    });
+
+    // 음수 등 잘못된 입력은 정리해서 다시 표시
+    renderTestSettings();
+    saveSettings(state.settings);
+    refreshTestPreview();
+}
+
+/**
+ * 레이아웃 설정이 바뀌면 열려 있는 시험지 미리보기를 다시 그림 (스크롤 이동 없이)
+ */
+function refreshTestPreview() {
+    // 퀴즈 화면이 열려 있으면 건드리지 않음
+    if (state.generatedTest && !state.quiz && elements.testPreview?.querySelector('.test-sheet')) {
+        displayTestSheet(state.generatedTest, { scroll: false });
+    }
+}
+
+/**
+ * 파일을 data URL로 읽기
+ * @param {File} file - 읽을 파일
+ * @returns {Promise<string>} data URL
+ */
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * 학교 로고 선택 핸들러 (PNG/JPEG만, 설정과 함께 저장)
+ */
+async function handleSchoolLogoChange() {
+    const file = elements.schoolLogo.files[0];
+    elements.schoolLogo.value = '';
+    if (!file) return;
+
+    if (file.type !== 'image/png' && file.type !== 'image/jpeg') {
+        showToast('로고는 PNG 또는 JPEG 이미지만 사용할 수 있습니다.', 'warning');
+        return;
+    }
+    if (file.size > SCHOOL_LOGO_MAX_BYTES) {
+        showToast(`로고 파일이 너무 큽니다. ${SCHOOL_LOGO_MAX_BYTES / 1024}KB 이하의 이미지를 선택해주세요.`, 'warning');
+        return;
+    }
+
+    try {
+        const schoolLogo = await readFileAsDataUrl(file);
+        const settings = normalizeSettings({ ...state.settings, schoolLogo });
+        if (!saveSettings(settings)) {
+            showToast('저장 공간이 부족해 로고를 저장하지 못했습니다.', 'error');
+            return;
+        }
+        state.settings = settings;
+        renderTestSettings();
+        refreshTestPreview();
+        showToast('학교 로고를 저장했습니다.', 'success');
+    } catch (error) {
+        console.error('로고 읽기 실패:', error);
+        showToast('로고 파일을 읽지 못했습니다.', 'error');
+    }
+}
+
+/**
+ * 학교 로고 지우기
+ */
+function handleRemoveSchoolLogo() {
+    state.settings = { ...state.settings, schoolLogo: '' };
+    saveSettings(state.settings);
+    renderTestSettings();
+    refreshTestPreview();
+}
+
+/**
+ * 시험지 생성 핸들러
+ */
+function handleGenerateTest() {
+    // 덱별 출제를 골랐으면 덱마다 지정한 수만큼 뽑고, 아니면 필터된 단어 사용
+    const deckQuotas = getActiveDeckQuotas();
+    const seed = readTestSeed();
+    let sourceWords = state.filteredWords;
+    let settings = state.settings;
+    let deckSelection = null;
+    if (deckQuotas.length > 0) {
+        deckSelection = selectWordsFromDecks(getFilteredWords({ ignoreDeck: true }), deckQuotas, createSeededRandom(seed));
+        sourceWords = deckSelection.words;
+        settings = { ...state.settings, questionCount: 0 };
+    }
+
+    // 출제할 단어가 없으면 알림
+    if (sourceWords.length === 0) {
+        showToast(deckSelection
+            ? '선택한 덱에 출제할 단어가 없습니다. 덱이나 필터를 확인해주세요.'
+            : '시험지를 생성할 단어가 없습니다. 단어를 추가하거나 필터를 변경해주세요.', 'warning');
+        return;
+    }
+
+    createTest(sourceWords, settings, deckSelection, seed);
+}
+
+/**
+ * 단어 배열로 시험지를 만들어 표시
+ * @param {Word[]} sourceWords - 출제할 단어 배열
+ * @param {TestSettings} settings - 시험지 설정
+ * @param {Object|null} deckSelection - 덱별 출제 결과 (selectWordsFromDecks)
+ * @param {number} seed - 난수 시드 (기본: 시드 입력란 값 또는 새 시드)
+ */
+function createTest(sourceWords, settings, deckSelection = null, seed = readTestSeed()) {
+    // 객관식은 오답 보기로 쓸 다른 단어가 필요
+    const isMultipleChoice = settings.questionType === 'multiple-choice';
+    if (isMultipleChoice && state.words.length < 2) {
+        showToast('객관식 시험지를 만들려면 단어가 2개 이상 필요합니다.', 'warning');
+        return;
+    }
+
+    // 빈칸 채우기는 단어가 들어 있는 예문이 있어야 출제 가능
+    const isCloze = settings.questionType === 'cloze';
+    const random = createSeededRandom(seed);
+    const skippedCount = isCloze ? sourceWords.filter(word => !findClozeExample(word, random)).length : 0;
+    if (isCloze && skippedCount === sourceWords.length) {
+        showToast('빈칸 채우기 문제를 낼 예문이 없습니다. 단어에 그 단어가 들어간 예문을 추가해주세요.', 'warning', 5000);
+        return;
+    }
+
+    // 시험지 생성 (오답 보기는 전체 단어에서 선택, 시드를 입력했으면 그 시드로 재현)
+    const versions = generateTestVersions(sourceWords, settings, state.words, seed);
+    if (deckSelection) {
+        versions.forEach(version => { version.decks = deckSelection.decks; });
+    }
+    const testSheet = versions[0];
+
+    // 지난 시험지에 저장 (다시 열기, 다시 인쇄, 채점에 사용)
+    saveTestRecord(createTestRecord(sourceWords, settings, seed, versions));
+
+    // state에 저장 (첫 번째 형을 미리보기, 새 시험지는 현재 레이아웃 설정을 따름)
+    state.testVersions = versions;
+    state.generatedTest = testSheet;
+    state.testLayout = null;
+
+    // 시험지 표시
+    displayTestSheet(testSheet);
+
+    // PDF 다운로드 버튼 활성화
+    if (elements.downloadPdfBtn) {
+        elements.downloadPdfBtn.disabled = false;
+    }
+
+    // 성공 토스트
+    showToast(versions.length > 1
+        ? `${testSheet.totalCount}문제 시험지를 ${versions.length}가지 형(${TEST_VERSION_LABELS[0]}~${TEST_VERSION_LABELS[versions.length - 1]})으로 생성했습니다.`
+        : `${testSheet.totalCount}문제 시험지가 생성되었습니다.`, 'success');
+
+    if (isMultipleChoice && testSheet.words.some(item => item.choices.length < settings.choiceCount)) {
+        showToast('보기로 쓸 단어가 부족해 일부 문제는 보기 수가 적습니다.', 'warning');
+    }
+    if (deckSelection && deckSelection.decks.some(deck => deck.requested > deck.count)) {
+        showToast('단어가 부족한 덱은 지정한 문제 수보다 적게 출제했습니다.', 'warning');
+    }
+    if (skippedCount > 0) {
+        showToast(`예문이 없는 단어 ${skippedCount}개는 빈칸 채우기 문제에서 제외했습니다.`, 'warning');
+    }
+}
+
+/**
+ * 시드 입력란에서 시드 읽기 (비어 있거나 잘못되면 새 시드)
+ * @returns {number} 시드
+ */
+function readTestSeed() {
+    const value = elements.testSeed?.value.trim();
+    if (value && /^\d+$/.test(value) && Number(value) < 0x100000000) {
+        return Number(value);
+    }
+    if (value) {
+        showToast('시드는 0 이상 4294967295 이하의 정수여야 합니다. 새 시드로 생성합니다.', 'warning');
+    }
+    return createSeed();
+}
+
+/**
+ * 같은 단어로 여러 형의 시험지 생성
+ * 단어는 세트 시드로 한 번만 뽑고, 형마다 (세트 시드 + 형 번호)로 순서와 보기를 섞음
+ * 형별 시험지에는 세트 시드를 기록하므로, 꼬리말의 시드와 같은 형 수로 다시 만들면
+ * 모든 형이 똑같이 나오고 꼬리말의 형(예: B형)이 그 시험지
+ * @param {Word[]} words - 단어 배열
+ * @param {TestSettings} settings - 시험지 설정
+ * @param {Word[]} distractorPool - 객관식 오답 보기 후보 단어
+ * @param {number} seed - 세트 시드
+ * @returns {Object[]} 형별 시험지 데이터 (한 가지면 배열 길이 1)
+ */
+function generateTestVersions(words, settings, distractorPool, seed) {
+    if (settings.versionCount <= 1) {
+        return [generateTestSheet(words, settings, distractorPool, seed)];
+    }
+
+    const selectedWords = pickWords(words, settings.questionCount, createSeededRandom(seed));
+    return TEST_VERSION_LABELS.slice(0, settings.versionCount).map((label, index) => {
+        const versionSettings = {
+            ...settings,
+            questionCount: 0,
+            shuffle: true,
+            testType: settings.alternateDirections && index % 2 === 1
+                ? OPPOSITE_TEST_TYPES[settings.testType]
+                : settings.testType
+        };
+        const sheet = generateTestSheet(selectedWords, versionSettings, distractorPool, (seed + index) >>> 0);
+        sheet.seed = seed;
+        sheet.version = label;
+        return sheet;
+    });
+}
+
+/**
+ * 시험지 제목 (형이 있으면 "영어 단어 시험 (A형)")
+ * 제목은 만들 때 시험지에 저장되므로 지난 시험지와 채점 결과는 그때의 제목을 유지
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @returns {string} 제목
+ */
+function getTestTitle(testSheet) {
+    return testSheet.version ? `${testSheet.title} (${testSheet.version})` : testSheet.title;
+}
+
+/**
+ * 시험지 설정에서 레이아웃 설정만 복사
+ * @param {TestSettings} settings - 시험지 설정
+ * @returns {Object} TEST_LAYOUT_KEYS 값만 담은 객체
+ */
+function getTestLayoutSettings(settings) {
+    return Object.fromEntries(TEST_LAYOUT_KEYS.map(key => [key, settings[key]]));
+}
+
+/**
+ * 미리보기 중인 시험지에 적용할 레이아웃 설정
+ * @returns {TestSettings} 지난 시험지면 만들 때의 설정, 새로 만든 시험지면 현재 설정
+ */
+function getPreviewLayout() {
+    return state.testLayout || state.settings;
+}
+
+/**
+ * 시험지 머리말 칸 (반, 번호, 이름, 점수 순서, 이름은 항상 포함)
+ * @param {TestSettings} layout - 레이아웃 설정
+ * @returns {{key: string, label: string}[]} 머리말 칸 목록
+ */
+function getTestHeaderFields(layout) {
+    const fields = layout.headerFields;
+    return ['class', 'number', 'name', 'score']
+        .filter(key => key === 'name' || fields.includes(key))
+        .map(key => ({ key, label: key === 'name' ? '이름' : HEADER_FIELD_LABELS[key] }));
+}
+
+/**
+ * 시험지 단 수 (받아쓰기는 답안 칸이 이미 두 묶음이라 항상 1)
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {TestSettings} layout - 레이아웃 설정
+ * @returns {number} 1 또는 2
+ */
+function getTestLayoutColumns(testSheet, layout) {
+    return testSheet.questionType === 'dictation' ? 1 : layout.layoutColumns;
+}
+
+/**
+ * 시험지 꼬리말 (형과 세트 시드, 같은 시드와 형 수로 다시 만들 수 있음)
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @returns {string} 예: "A형 · 시드 123456789"
+ */
+function getTestFooterLabel(testSheet) {
+    return [testSheet.version, `시드 ${testSheet.seed}`].filter(Boolean).join(' · ');
+}
+
+/**
+ * 문제 수만큼 무작위로 단어 뽑기 (뽑은 단어는 원래 순서 유지)
+ * @param {Word[]} words - 단어 배열
+ * @param {number} count - 뽑을 수 (0이면 전체)
+ * @param {function(): number} random - 난수 함수
+ * @returns {Word[]} 뽑은 단어 배열 (새 배열)
+ */
+function pickWords(words, count, random) {
+    if (!(count > 0 && count < words.length)) {
+        return [...words];
+    }
+    const picked = new Set(shuffleArray(words, random).slice(0, count));
+    return words.filter(word => picked.has(word));
+}
+
+/**
+ * 시험지 데이터 생성
+ * @param {Word[]} words - 단어 배열
+ * @param {TestSettings} settings - 시험지 설정
+ * @param {Word[]} distractorPool - 객관식 오답 보기 후보 단어 (기본: 출제 단어)
+ * @param {number} seed - 난수 시드 (같은 단어, 설정, 시드면 같은 시험지)
+ * @returns {Object} 시험지 데이터 객체
+ */
+function generateTestSheet(words, settings = DEFAULT_TEST_SETTINGS, distractorPool = words, seed = createSeed()) {
+    const random = createSeededRandom(seed);
+
+    // 빈칸 채우기는 예문에서 단어를 찾을 수 있는 단어만 출제
+    if (settings.questionType === 'cloze') {
+        return { ...generateClozeTestSheet(words, settings, random), seed };
+    }
+    if (settings.questionType === 'dictation') {
+        return { ...generateDictationTestSheet(words, settings, random), seed };
+    }
+
+    let selectedWords = pickWords(words, settings.questionCount, random);
+
+    // 원본 배열을 변경하지 않고 섞기
+    if (settings.shuffle) {
+        selectedWords = shuffleArray(selectedWords, random);
+    }
+
+    // 시험지 데이터 생성
+    const testSheet = {
+        title: settings.testTitle || DEFAULT_TEST_TITLE,
+        seed,
+        date: new Date().toLocaleDateString('ko-KR'),
+        testType: settings.testType,
+        questionType: settings.questionType,
+        totalCount: selectedWords.length,
+        categories: Object.keys(CATEGORY_LABELS).filter(key => selectedWords.some(word => word.category === key)),
+        words: selectedWords.map((word, index) => {
+            const direction = getQuestionDirection(settings.testType, random);
+            const item = {
+                number: index + 1,
+                wordId: word.id,
+                english: word.english,
+                korean: word.korean, // 정답용으로 저장
+                category: word.category,
+                direction,
+                question: direction === 'kor-to-eng' ? word.korean : word.english,
+                answer: direction === 'kor-to-eng' ? word.english : word.korean
+            };
+
+            if (settings.questionType === 'multiple-choice') {
+                Object.assign(item, buildChoices(word, direction, distractorPool, settings.choiceCount, random));
+            }
+            return item;
+        })
+    };
+
+    return testSheet;
+}
+
+/**
+ * 빈칸 채우기 시험지 데이터 생성
+ * 예문에서 단어(변화형 포함)를 빈칸으로 바꾸고, 설정에 따라 한국어 뜻을 힌트로 붙임
+ * @param {Word[]} words - 단어 배열
+ * @param {TestSettings} settings - 시험지 설정
+ * @param {function(): number} random - 난수 함수
+ * @returns {Object} 시험지 데이터 객체
+ */
+function generateClozeTestSheet(words, settings, random) {
+    const examples = new Map();
+    words.forEach(word => {
+        const example = findClozeExample(word, random);
+        if (example) examples.set(word, example);
+    });
+
+    let selectedWords = pickWords([...examples.keys()], settings.questionCount, random);
+    if (settings.shuffle) {
+        selectedWords = shuffleArray(selectedWords, random);
+    }
+
+    return {
+        title: settings.testTitle || DEFAULT_TEST_TITLE,
+        date: new Date().toLocaleDateString('ko-KR'),
+        testType: settings.testType,
+        questionType: 'cloze',
+        meaningHint: settings.meaningHint,
+        totalCount: selectedWords.length,
+        categories: Object.keys(CATEGORY_LABELS).filter(key => selectedWords.some(word => word.category === key)),
+        words: selectedWords.map((word, index) => {
+            const { sentence, answer } = examples.get(word);
+            const hint = settings.meaningHint ? getPrimarySense(word).korean : '';
+            return {
+                number: index + 1,
+                wordId: word.id,
+                english: word.english,
+                korean: word.korean,
+                category: word.category,
+                direction: 'cloze',
+                sentence,
+                hint,
+                question: hint ? `${sentence} (뜻: ${hint})` : sentence,
+                answer
+            };
+        })
+    };
+}
+
+/**
+ * 받아쓰기 시험지 데이터 생성
+ * 시험지에는 번호(와 설정에 따라 한국어 뜻)만 싣고, 영어 단어는 음성으로 읽어 줌
+ * @param {Word[]} words - 단어 배열
+ * @param {TestSettings} settings - 시험지 설정
+ * @param {function(): number} random - 난수 함수
+ * @returns {Object} 시험지 데이터 객체
+ */
+function generateDictationTestSheet(words, settings, random) {
+    let selectedWords = pickWords(words, settings.questionCount, random);
+    if (settings.shuffle) {
+        selectedWords = shuffleArray(selectedWords, random);
+    }
+
+    return {
+        title: settings.testTitle || '영어 단어 받아쓰기',
+        date: new Date().toLocaleDateString('ko-KR'),
+        testType: settings.testType,
+        questionType: 'dictation',
+        meaningHint: settings.meaningHint,
+        totalCount: selectedWords.length,
+        categories: Object.keys(CATEGORY_LABELS).filter(key => selectedWords.some(word => word.category === key)),
+        words: selectedWords.map((word, index) => {
+            const hint = settings.meaningHint ? getPrimarySense(word).korean : '';
+            return {
+                number: index + 1,
+                wordId: word.id,
+                english: word.english,
+                korean: word.korean,
+                category: word.category,
+                direction: 'dictation',
+                hint,
+                question: hint,
+                answer: word.english
+            };
+        })
+    };
+}
+
+/**
+ * 단어의 변화형 목록 (복수형, 3인칭 -s, 과거형 -ed, 진행형 -ing, 비교급 -er/-est)
+ * 여러 단어로 된 표현은 첫 단어만 변화 (예: give up → gives up, giving up)
+ * @param {string} english - 영어 단어
+ * @returns {string[]} 원형을 포함한 변화형 (소문자, 긴 것부터)
+ */
+function getInflectedForms(english) {
+    const [head, ...rest] = english.trim().toLowerCase().split(/\s+/);
+    const tail = rest.length > 0 ? ` ${rest.join(' ')}` : '';
+    const forms = new Set([head, `${head}s`, `${head}es`, `${head}ed`, `${head}d`, `${head}ing`, `${head}er`, `${head}est`]);
+
+    if (/[^aeiou]y$/.test(head)) {
+        const stem = head.slice(0, -1);
+        ['ies', 'ied', 'ier', 'iest'].forEach(suffix => forms.add(stem + suffix));
+    }
+    if (/[^e]e$/.test(head)) {
+        forms.add(`${head.slice(0, -1)}ing`);
+    }
+    if (/ie$/.test(head)) {
+        forms.add(`${head.slice(0, -2)}ying`);
+    }
+    // 단모음 + 단자음으로 끝나면 자음을 겹침 (stop → stopped, stopping)
+    if (/[^aeiou][aeiou][bdgklmnprtz]$/.test(head)) {
+        const last = head.slice(-1);
+        ['ed', 'ing', 'er', 'est'].forEach(suffix => forms.add(head + last + suffix));
+    }
+
+    return [...forms].map(form => form + tail).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * 단어가 들어 있는 예문을 골라 빈칸 문장 만들기
+ * @param {Word} word - 단어 객체
+ * @param {function(): number} random - 예문이 여러 개일 때 고르는 난수 함수
+ * @returns {Object|null} { sentence, answer } (단어가 들어간 예문이 없으면 null)
+ */
+function findClozeExample(word, random) {
+    const forms = getInflectedForms(word.english)
+        .map(form => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+    const pattern = new RegExp(`\\b(${forms.join('|')})\\b`, 'gi');
+
+    for (const example of shuffleArray(word.examples, random)) {
+        const matches = example.match(pattern);
+        if (matches) {
+            // 빈칸마다 형태가 다르면 (studied, studying) 나온 순서대로 모두 정답으로 표시
+            const answers = [...new Map(matches.map(match => [match.toLowerCase(), match])).values()];
+            return { sentence: example.replace(pattern, CLOZE_BLANK), answer: answers.join(', ') };
+        }
+    }
+    return null;
+}
+
+/**
+ * 객관식 보기 생성
+ * 오답은 다른 단어에서 고르며 첫 번째 뜻의 품사가 같은 단어를 우선하고,
+ * 정답과 같은 보기, 정답과 뜻이 겹치는 보기, 유의어 관계인 단어(정답으로도 볼 수 있는 보기)는 제외
+ * @param {Word} word - 출제 단어
+ * @param {string} direction - 출제 방향
+ * @param {Word[]} pool - 오답 후보 단어 배열
+ * @param {number} choiceCount - 보기 수
+ * @param {function(): number} random - 난수 함수
+ * @returns {Object} { choices, answerIndex, answerLetter, answer }
+ */
+function buildChoices(word, direction, pool, choiceCount, random) {
+    const getChoiceText = candidate => (
+        direction === 'kor-to-eng' ? candidate.english.trim() : getPrimarySense(candidate).korean
+    );
+
+    const answer = getChoiceText(word);
+    const partOfSpeech = getPrimarySense(word).partOfSpeech;
+    const english = word.english.trim().toLowerCase();
+    const synonyms = new Set(word.synonyms.map(synonym => synonym.toLowerCase()));
+    const meanings = new Set(splitAnswerAlternatives(answer));
+    const usedTexts = new Set([answer.toLowerCase()]);
+    const samePos = [];
+    const otherPos = [];
+
+    shuffleArray(pool, random).forEach(candidate => {
+        if (candidate.id === word.id) return;
+        if (synonyms.has(candidate.english.trim().toLowerCase())
+            || candidate.synonyms.some(synonym => synonym.toLowerCase() === english)) return;
+
+        const text = getChoiceText(candidate);
+        const key = text.toLowerCase();
+        if (!text || usedTexts.has(key)) return;
+        if (direction !== 'kor-to-eng' && splitAnswerAlternatives(text).some(meaning => meanings.has(meaning))) return;
+        usedTexts.add(key);
+
+        if (partOfSpeech && getPrimarySense(candidate).partOfSpeech === partOfSpeech) {
+            samePos.push(text);
+        } else {
+            otherPos.push(text);
+        }
+    });
+
+    const distractors = [...samePos, ...otherPos].slice(0, choiceCount - 1);
+    const choices = shuffleArray([answer, ...distractors], random);
+    const answerIndex = choices.indexOf(answer);
+
+    return {
+        choices,
+        answerIndex,
+        answerLetter: CHOICE_LETTERS[answerIndex],
+        answer
+    };
+}
+
+/**
+ * 정답지에 표시할 정답 문자열
+ * @param {Object} item - 시험 문제
+ * @returns {string} 정답 (객관식은 보기 기호, 빈칸 채우기 변화형은 원형 포함)
+ */
+function formatAnswer(item) {
+    if (item.answerLetter) {
+        return `${item.answerLetter}. ${item.answer}`;
+    }
+    // 빈칸 채우기에서 변화형이 답이면 원형을 함께 표시 (예: "studied (study)")
+    if (item.direction === 'cloze' && item.answer.toLowerCase() !== item.english.toLowerCase()) {
+        return `${item.answer} (${item.english})`;
+    }
+    return item.answer;
+}
+
+/**
+ * 시험지 정보 줄에 표시할 유형 요약
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @returns {string} 예: "영어 → 한국어 · 객관식"
+ */
+function getTestSummaryLabel(testSheet) {
+    if (testSheet.questionType === 'cloze' || testSheet.questionType === 'dictation') {
+        return `${QUESTION_TYPE_LABELS[testSheet.questionType]} · 뜻 힌트 ${testSheet.meaningHint ? '있음' : '없음'}`;
+    }
+    return `${TEST_TYPE_LABELS[testSheet.testType]} · ${QUESTION_TYPE_LABELS[testSheet.questionType]}`;
+}
+
+/**
+ * 시험지 머리말에 표시할 주제
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @returns {string} 예: "주제: TOEIC, 비즈니스"
+ */
+function getTestCategoryLabel(testSheet) {
+    const categories = testSheet.categories || [];
+    return `주제: ${categories.map(key => CATEGORY_LABELS[key]).join(', ') || '-'}`;
+}
+
+/**
+ * 여러 덱으로 만든 시험지의 덱별 문제 수
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @returns {string} 예: "덱: 3반 10문제, 4반 5문제" (덱별 출제가 아니면 빈 문자열)
+ */
+function getTestDeckLabel(testSheet) {
+    if (!testSheet.decks) return '';
+    return `덱: ${testSheet.decks.map(deck => `${deck.name} ${deck.count}문제`).join(', ')}`;
+}
+
+/**
+ * 문제별 출제 방향 결정 (혼합이면 문제마다 무작위)
+ * @param {string} testType - 시험 유형
+ * @param {function(): number} random - 난수 함수
+ * @returns {string} 'eng-to-kor' | 'kor-to-eng'
+ */
+function getQuestionDirection(testType, random) {
+    if (testType === 'mixed') {
+        return random() < 0.5 ? 'eng-to-kor' : 'kor-to-eng';
+    }
+    return testType === 'kor-to-eng' ? 'kor-to-eng' : 'eng-to-kor';
+}
+
+/**
+ * 시험 유형에 맞는 표 머리글 반환
+ * @param {string} testType - 시험 유형
+ * @param {string} questionType - 문제 유형
+ * @returns {string[]} [문제 열, 답 열] 라벨
+ */
+function getTestColumnLabels(testType, questionType) {
+    if (questionType === 'cloze') {
+        return ['예문', '영어 단어'];
+    }
+    if (questionType === 'dictation') {
+        return ['뜻 (힌트)', '영어 단어'];
+    }
+    if (testType === 'kor-to-eng') {
+        return ['뜻 (한국어)', '영어 단어'];
+    }
+    if (testType === 'mixed') {
+        return ['문제', '답'];
+    }
+    return ['영어 단어', '뜻 (한국어)'];
+}
+
+/**
+ * 시험지 화면에 표시 (용지, 단, 글자 크기 등 레이아웃 설정 적용)
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {Object} [options]
+ * @param {boolean} [options.scroll=true] - 시험지 섹션으로 스크롤할지 여부
+ * @param {TestSettings} [options.layout] - 레이아웃 설정 (기본: 미리보기 중인 시험지의 설정)
+ */
+function displayTestSheet(testSheet, { scroll = true, layout = getPreviewLayout() } = {}) {
+    if (!elements.testPreview) return;
+
+    // 다시 그리면 재생 버튼이 사라지므로 받아쓰기 음성은 멈춤
+    stopDictation();
+
+    const [questionLabel, answerLabel] = getTestColumnLabels(testSheet.testType, testSheet.questionType);
+    const fontScale = layout.fontSize / DEFAULT_TEST_SETTINGS.fontSize;
+
+    // 시험지 HTML 생성
+    const html = `
+        <div class="test-sheet" style="--test-font-scale: ${fontScale}">
+            ${renderTestVersionTabs(testSheet)}
+            <div class="test-sheet__header">
+                ${renderTestSchoolHtml(layout)}
+                <h3 class="test-sheet__title">${escapeHtml(getTestTitle(testSheet))}</h3>
+                <div class="test-sheet__info">
+                    <span>날짜: ${testSheet.date}</span>
+                    <span>${getTestSummaryLabel(testSheet)}</span>
+                    <span>${getTestCategoryLabel(testSheet)}</span>
+                    ${testSheet.decks ? `<span>${escapeHtml(getTestDeckLabel(testSheet))}</span>` : ''}
+                    <span>총 ${testSheet.totalCount}문제</span>
+                </div>
+                ${renderTestHeaderFieldsHtml(testSheet, layout)}
+            </div>
+            <div class="test-sheet__body">
+                ${renderTestTable(testSheet, questionLabel, answerLabel, getTestLayoutColumns(testSheet, layout))}
+            </div>
+            <div class="answer-key" id="answer-key" hidden>
+                <h4 class="answer-key__title">정답</h4>
+                ${renderSheetTable('answer-key__table', [
+                    '<th class="test-sheet__col-number">번호</th>',
+                    `<th class="test-sheet__col-question">${questionLabel}</th>`,
+                    '<th class="test-sheet__col-answer">정답</th>'
+                ], testSheet.words, item => `
+                    <td class="test-sheet__number">${item.number}</td>
+                    <td class="test-sheet__question">${escapeHtml(item.question)}</td>
+                    <td class="answer-key__answer">${escapeHtml(formatAnswer(item))}</td>
+                `, layout.layoutColumns)}
+            </div>
+            <p class="test-sheet__footer">${escapeHtml(getTestFooterLabel(testSheet))}</p>
+            <div class="test-sheet__actions no-print">
+                <button class="btn btn--primary" onclick="window.print()">인쇄하기</button>
+                <button class="btn btn--secondary" onclick="showQuizIntro()">온라인 퀴즈</button>
+                <button class="btn btn--outline" id="toggle-answer-key" onclick="toggleAnswerKey()">정답지 보기</button>
+                <button class="btn btn--outline" onclick="hideTestSheet()">닫기</button>
+            </div>
+        </div>
+    `;
+
+    elements.testPreview.innerHTML = html;
+    elements.testPreview.classList.add('test-preview--visible');
+    // 로고 data URL은 HTML 문자열에 넣지 않고 DOM 속성으로 지정
+    const logo = elements.testPreview.querySelector('.test-sheet__logo');
+    if (logo) {
+        logo.src = layout.schoolLogo;
+    }
+    if (testSheet.questionType === 'dictation') {
+        bindDictationPlayer();
+    }
+    elements.testPreview.querySelectorAll('.test-version-tab').forEach(tab => {
+        tab.addEventListener('click', () => showTestVersion(parseInt(tab.dataset.index, 10)));
+    });
+
+    applyPrintPageSize(layout.paperSize);
+
+    // 시험지 섹션으로 스크롤
+    if (scroll) {
+        elements.testPreview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * 시험지 머리말의 학교 이름/로고 HTML (둘 다 없으면 빈 문자열, 로고 src는 displayTestSheet에서 지정)
+ * @param {TestSettings} layout - 레이아웃 설정
+ * @returns {string} HTML
+ */
+function renderTestSchoolHtml(layout) {
+    const { schoolName, schoolLogo } = layout;
+    if (!schoolName && !schoolLogo) return '';
+    return `
+        <div class="test-sheet__school">
+            ${schoolLogo ? '<img class="test-sheet__logo" alt="">' : ''}
+            ${schoolName ? `<span class="test-sheet__school-name">${escapeHtml(schoolName)}</span>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * 시험지 머리말 칸(반, 번호, 이름, 점수) HTML
+ * @param {Object} testSheet - 시험지 데이터 객체 (점수 칸에 총 문제 수 표시)
+ * @param {TestSettings} layout - 레이아웃 설정
+ * @returns {string} HTML
+ */
+function renderTestHeaderFieldsHtml(testSheet, layout) {
+    return `
+        <div class="test-sheet__fields">
+            ${getTestHeaderFields(layout).map(field => `
+                <span class="test-sheet__field">
+                    <span class="test-sheet__field-label">${field.label}</span>
+                    <span class="test-sheet__field-box test-sheet__field-box--${field.key}">${field.key === 'score' ? `/ ${testSheet.totalCount}` : ''}</span>
+                </span>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * 인쇄 용지 크기를 시험지 설정에 맞춤 (@page 규칙은 CSS 변수를 못 쓰므로 style 요소로 주입)
+ * @param {string} paperSize - 용지 크기 ('a4' | 'letter' | 'b5')
+ */
+function applyPrintPageSize(paperSize) {
+    let style = document.getElementById('print-page-size');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'print-page-size';
+        document.head.appendChild(style);
+    }
+    style.textContent = `@media print { @page { size: ${PAPER_SIZES[paperSize]}; margin: 15mm; } }`;
+}
+
+/**
+ * 형 선택 탭 HTML 생성 (형이 하나면 빈 문자열)
+ * @param {Object} testSheet - 미리보기 중인 시험지
+ * @returns {string} 탭 HTML
+ */
+function renderTestVersionTabs(testSheet) {
+    if (state.testVersions.length < 2) return '';
+    return `
+        <div class="test-version-tabs no-print" role="tablist" aria-label="시험지 형">
+            ${state.testVersions.map((version, index) => `
+                <button type="button" class="test-version-tab ${version === testSheet ? 'test-version-tab--active' : ''}"
+                        role="tab" aria-selected="${version === testSheet}" data-index="${index}">
+                    ${version.version}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * 다른 형의 시험지 미리보기
+ * @param {number} index - 형 번호 (0부터)
+ */
+function showTestVersion(index) {
+    const version = state.testVersions[index];
+    if (!version) return;
+    state.generatedTest = version;
+    displayTestSheet(version);
+}
+
+/**
+ * 문제 유형에 맞는 시험지 표 HTML 생성
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {string} questionLabel - 문제 열 머리글
+ * @param {string} answerLabel - 답 열 머리글
+ * @param {number} columns - 단 수
+ * @returns {string} 표 HTML
+ */
+function renderTestTable(testSheet, questionLabel, answerLabel, columns) {
+    if (testSheet.questionType === 'multiple-choice') {
+        return renderChoiceTable(testSheet, questionLabel, columns);
+    }
+    if (testSheet.questionType === 'cloze') {
+        return renderClozeTable(testSheet, questionLabel, answerLabel, columns);
+    }
+    if (testSheet.questionType === 'dictation') {
+        return renderDictationGrid(testSheet);
+    }
+    return renderWrittenTable(testSheet, questionLabel, answerLabel, columns);
+}
+
+/**
+ * 시험지 표 HTML 생성 (2단이면 한 행에 두 문제를 왼쪽부터 차례로, 머리글도 두 번)
+ * @param {string} className - 표에 덧붙일 클래스
+ * @param {string[]} headCells - 문제 하나 분의 머리글 칸 HTML
+ * @param {Object[]} items - 시험 문제 배열
+ * @param {function(Object): string} renderCells - 문제 하나 분의 칸 HTML
+ * @param {number} columns - 단 수
+ * @returns {string} 표 HTML
+ */
+function renderSheetTable(className, headCells, items, renderCells, columns) {
+    const rows = [];
+    for (let i = 0; i < items.length; i += columns) {
+        rows.push(items.slice(i, i + columns));
+    }
+    const emptyCells = `<td class="test-sheet__empty" colspan="${headCells.length}"></td>`;
+
+    return `
+        <table class="test-sheet__table ${className} ${columns > 1 ? 'test-sheet__table--columns' : ''}">
+            <thead>
+                <tr>${headCells.join('').repeat(columns)}</tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="test-sheet__row">
+                        ${row.map(renderCells).join('')}
+                        ${emptyCells.repeat(columns - row.length)}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * 주관식 시험지 표 HTML 생성
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {string} questionLabel - 문제 열 머리글
+ * @param {string} answerLabel - 답 열 머리글
+ * @param {number} columns - 단 수
+ * @returns {string} 표 HTML
+ */
+function renderWrittenTable(testSheet, questionLabel, answerLabel, columns) {
+    return renderSheetTable('', [
+        '<th class="test-sheet__col-number">번호</th>',
+        `<th class="test-sheet__col-question">${questionLabel}</th>`,
+        `<th class="test-sheet__col-answer">${answerLabel}</th>`
+    ], testSheet.words, item => `
+        <td class="test-sheet__number">${item.number}</td>
+        <td class="test-sheet__question">${escapeHtml(item.question)}</td>
+        <td class="test-sheet__answer"></td>
+    `, columns);
+}
+
+/**
+ * 빈칸 채우기 시험지 표 HTML 생성 (예문 열을 넓게, 힌트는 예문 아래 줄)
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {string} questionLabel - 문제 열 머리글
+ * @param {string} answerLabel - 답 열 머리글
+ * @param {number} columns - 단 수
+ * @returns {string} 표 HTML
+ */
+function renderClozeTable(testSheet, questionLabel, answerLabel, columns) {
+    return renderSheetTable('test-sheet__table--cloze', [
+        '<th class="test-sheet__col-number">번호</th>',
+        `<th class="test-sheet__col-question">${questionLabel}</th>`,
+        `<th class="test-sheet__col-answer">${answerLabel}</th>`
+    ], testSheet.words, item => `
+        <td class="test-sheet__number">${item.number}</td>
+        <td class="test-sheet__question test-sheet__sentence">
+            ${escapeHtml(item.sentence)}
+            ${item.hint ? `<span class="test-sheet__hint">뜻: ${escapeHtml(item.hint)}</span>` : ''}
+        </td>
+        <td class="test-sheet__answer"></td>
+    `, columns);
+}
+
+/**
+ * 받아쓰기 답안 칸 HTML 생성 (번호와 쓰는 줄, 힌트가 있으면 칸 위에 작게 표시)
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @returns {string} 답안 칸 HTML
+ */
+function renderDictationGrid(testSheet) {
+    return `
+        ${renderDictationPlayer(testSheet)}
+        <ol class="dictation-grid">
+            ${testSheet.words.map(item => `
+                <li class="dictation-grid__cell">
+                    <span class="dictation-grid__number">${item.number}</span>
+                    ${item.hint ? `<span class="dictation-grid__hint">${escapeHtml(item.hint)}</span>` : ''}
+                    <span class="dictation-grid__line"></span>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * 객관식 시험지 표 HTML 생성
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {string} questionLabel - 문제 열 머리글
+ * @param {number} columns - 단 수
+ * @returns {string} 표 HTML
+ */
+function renderChoiceTable(testSheet, questionLabel, columns) {
+    return renderSheetTable('test-sheet__table--choice', [
+        '<th class="test-sheet__col-number">번호</th>',
+        `<th class="test-sheet__col-question">${questionLabel}</th>`,
+        '<th class="test-sheet__col-choices">보기</th>',
+        '<th class="test-sheet__col-mark">답</th>'
+    ], testSheet.words, item => `
+        <td class="test-sheet__number">${item.number}</td>
+        <td class="test-sheet__question">${escapeHtml(item.question)}</td>
+        <td>
+            <ol class="test-sheet__choices">
+                ${item.choices.map((choice, index) => `
+                    <li class="test-sheet__choice">
+                        <span class="test-sheet__choice-letter">${CHOICE_LETTERS[index]}.</span>
+                        ${escapeHtml(choice)}
+                    </li>
+                `).join('')}
+            </ol>
+        </td>
+        <td class="test-sheet__answer"></td>
+    `, columns);
+}
+
+/**
+ * 미리보기의 정답지 표시/숨김 전환
+ */
+function toggleAnswerKey() {
+    const answerKey = document.getElementById('answer-key');
+    const toggleBtn = document.getElementById('toggle-answer-key');
+    if (!answerKey) return;
+
+    answerKey.hidden = !answerKey.hidden;
+    if (toggleBtn) {
+        toggleBtn.textContent = answerKey.hidden ? '정답지 보기' : '정답지 숨기기';
+    }
+}
+
+/**
+ * 시험지 숨기기
+ */
+function hideTestSheet() {
+    if (!elements.testPreview) return;
+
+    stopDictation();
+    elements.testPreview.innerHTML = '<p class="empty-message">시험지를 생성해주세요.</p>';
+    elements.testPreview.classList.remove('test-preview--visible');
+
+    // PDF 버튼 비활성화
+    if (elements.downloadPdfBtn) {
+        elements.downloadPdfBtn.disabled = true;
+    }
+
+    state.generatedTest = null;
+    state.testVersions = [];
+    state.testLayout = null;
+    state.quiz = null;
+}
+
+/**
+ * PDF 다운로드 핸들러 (jsPDF + autoTable 사용)
+ */
+async function handleDownloadPdf() {
+    if (!state.generatedTest) {
+        showToast('먼저 시험지를 생성해주세요.', 'warning');
+        return;
+    }
+
+    // 로딩 표시
+    showLoading('PDF 생성 중...');
+
+    try {
+        // 여러 형을 만들었으면 모든 형을 한 파일에 차례로 담음
+        const versions = state.testVersions.length > 0 ? state.testVersions : [state.generatedTest];
+        const layout = getPreviewLayout();
+        const answerKeyMode = layout.answerKey;
+        const timestamp = getTimestamp();
+
+        // 한글 글꼴 로드 (실패해도 기본 글꼴로 계속 진행)
+        let fontData = null;
+        try {
+            fontData = await loadPdfFontData();
+        } catch (error) {
+            console.error('PDF 글꼴 로드 오류:', error);
+            showToast('한글 글꼴을 불러오지 못해 PDF의 한글이 깨질 수 있습니다. 로컬 서버로 실행해주세요.', 'warning', 5000);
+        }
+
+        const doc = createPdfDocument(fontData, layout.paperSize);
+        versions.forEach((testSheet, index) => {
+            if (index > 0) doc.addPage();
+            drawPdfSection(doc, testSheet, drawTestSheetPdf, layout);
+        });
+
+        // 정답지: 같은 파일 뒤에 모든 형의 정답지를 추가하거나 별도 파일로 저장
+        if (answerKeyMode === 'append') {
+            versions.forEach(testSheet => {
+                doc.addPage();
+                drawPdfSection(doc, testSheet, drawAnswerKeyPdf, layout);
+            });
+        }
+
+        // PDF 다운로드
+        drawPdfPageNumbers(doc, layout);
+        doc.save(`영어단어시험지_${timestamp}.pdf`);
+
+        if (answerKeyMode === 'separate') {
+            const answerDoc = createPdfDocument(fontData, layout.paperSize);
+            versions.forEach((testSheet, index) => {
+                if (index > 0) answerDoc.addPage();
+                drawPdfSection(answerDoc, testSheet, drawAnswerKeyPdf, layout);
+            });
+            drawPdfPageNumbers(answerDoc, layout);
+            answerDoc.save(`영어단어시험지_정답_${timestamp}.pdf`);
+        }
+
+        // 성공 알림
+        showToast('PDF가 성공적으로 다운로드되었습니다.', 'success');
+    } catch (error) {
+        console.error('PDF 생성 오류:', error);
+        showToast('PDF 생성에 실패했습니다. 다시 시도해주세요.', 'error');
+    } finally {
+        // 로딩 숨기기
+        hideLoading();
+    }
+}
+
+/**
+ * 세로 jsPDF 문서 생성
+ * @param {Object|null} fontData - 한글 글꼴 데이터 (없으면 기본 글꼴)
+ * @param {string} paperSize - 용지 크기 ('a4' | 'letter' | 'b5')
+ * @returns {Object} jsPDF 인스턴스
+ */
+function createPdfDocument(fontData = null, paperSize = 'a4') {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({
+        orientation: 'portrait',
+        unit: 'mm',
+        format: paperSize
+    });
+
+    if (fontData) {
+        registerPdfFont(doc, fontData);
+    }
+    return doc;
+}
+
+/**
+ * 시험지 한 형(시험지 또는 정답지)을 그리고, 그 형이 차지한 모든 페이지에 꼬리말(형, 시드) 표시
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {function(Object, Object, TestSettings): void} draw - drawTestSheetPdf 또는 drawAnswerKeyPdf
+ * @param {TestSettings} layout - 레이아웃 설정
+ */
+function drawPdfSection(doc, testSheet, draw, layout) {
+    const firstPage = doc.getNumberOfPages();
+    draw(doc, testSheet, layout);
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const footer = getTestFooterLabel(testSheet);
+    for (let page = firstPage; page <= doc.getNumberOfPages(); page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setTextColor(150);
+        doc.text(footer, pageWidth / 2, pageHeight - 8, { align: 'center' });
+        doc.setTextColor(0);
+    }
+}
+
+/**
+ * 모든 페이지 오른쪽 아래에 쪽 번호("1 / 3") 표시 (설정에서 끄면 생략)
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {TestSettings} layout - 레이아웃 설정
+ */
+function drawPdfPageNumbers(doc, layout) {
+    if (!layout.pageNumbers) return;
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const total = doc.getNumberOfPages();
+    for (let page = 1; page <= total; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setTextColor(150);
+        doc.text(`${page} / ${total}`, pageWidth - 15, pageHeight - 8, { align: 'right' });
+        doc.setTextColor(0);
+    }
+}
+
+// PDF 머리말 학교 로고 높이 (mm, 너비는 이미지 비율대로)
+const PDF_LOGO_HEIGHT = 12;
+
+/**
+ * PDF 페이지 머리말(학교 이름/로고, 제목, 정보 줄) 그리기
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {string} title - 제목
+ * @param {string} info - 제목 아래 정보 줄
+ * @param {TestSettings} layout - 레이아웃 설정
+ * @returns {number} 머리말 아래 y 위치 (mm)
+ */
+function drawPdfHeader(doc, title, info, layout) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const { fontSize, schoolName, schoolLogo } = layout;
+    let y = 12;
+
+    // 학교 로고와 이름 (왼쪽 위 한 줄, 있으면 제목을 그만큼 내림)
+    if (schoolName || schoolLogo) {
+        let x = 15;
+        if (schoolLogo) {
+            const image = doc.getImageProperties(schoolLogo);
+            const width = PDF_LOGO_HEIGHT * image.width / image.height;
+            doc.addImage(schoolLogo, image.fileType, x, 10, width, PDF_LOGO_HEIGHT);
+            x += width + 3;
+        }
+        if (schoolName) {
+            doc.setFontSize(fontSize + 1);
+            doc.text(schoolName, x, 10 + PDF_LOGO_HEIGHT / 2, { baseline: 'middle' });
+        }
+        y += PDF_LOGO_HEIGHT + 2;
+    }
+
+    // 제목
+    doc.setFontSize(fontSize + 9);
+    doc.setFont(undefined, 'bold');
+    doc.text(title, pageWidth / 2, y + 8, { align: 'center' });
+
+    // 날짜 및 문제 수 (주제가 많아 길어지면 줄바꿈)
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    const infoLines = doc.splitTextToSize(info, pageWidth - 30);
+    doc.text(infoLines, pageWidth / 2, y + 16, { align: 'center' });
+
+    return y + 16 + infoLines.length * 5;
+}
+
+// PDF 머리말 칸 너비 (mm)
+const PDF_HEADER_FIELD_WIDTHS = {
+    class: 12,
+    number: 12,
+    name: 35,
+    score: 18
+};
+
+/**
+ * PDF 머리말 칸(반, 번호, 이름, 점수)을 오른쪽 정렬로 그리기
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {Object} testSheet - 시험지 데이터 객체 (점수 칸에 총 문제 수 표시)
+ * @param {number} y - 칸 글자 기준선 위치 (mm)
+ * @param {TestSettings} layout - 레이아웃 설정
+ */
+function drawPdfHeaderFields(doc, testSheet, y, layout) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const fields = getTestHeaderFields(layout);
+    const boxHeight = 8;
+
+    doc.setFontSize(layout.fontSize + 1);
+    const widths = fields.map(field => doc.getTextWidth(field.label) + 2 + PDF_HEADER_FIELD_WIDTHS[field.key]);
+    let x = pageWidth - 15 - widths.reduce((sum, width) => sum + width, 0) - (fields.length - 1) * 4;
+
+    fields.forEach((field, index) => {
+        doc.text(field.label, x, y);
+        const boxX = x + doc.getTextWidth(field.label) + 2;
+        const boxWidth = PDF_HEADER_FIELD_WIDTHS[field.key];
+        doc.setDrawColor(120);
+        doc.rect(boxX, y - boxHeight + 2, boxWidth, boxHeight);
+        doc.setDrawColor(0);
+        if (field.key === 'score') {
+            doc.setFontSize(9);
+            doc.text(`/ ${testSheet.totalCount}`, boxX + boxWidth - 1.5, y, { align: 'right' });
+            doc.setFontSize(layout.fontSize + 1);
+        }
+        x += widths[index] + 4;
+    });
+}
+
+// 시험지 PDF 기본 열 너비 (번호 / 문제 / 답)
+const PDF_COLUMN_STYLES = {
+    0: { cellWidth: 15, halign: 'center' },
+    1: { cellWidth: 60 },
+    2: { cellWidth: 'auto' }
+};
+
+// 객관식 PDF 열 너비 (번호 / 문제 / 보기 / 답)
+const PDF_CHOICE_COLUMN_STYLES = {
+    0: { cellWidth: 15, halign: 'center' },
+    1: { cellWidth: 45 },
+    2: { cellWidth: 'auto' },
+    3: { cellWidth: 15, halign: 'center' }
+};
+
+// 빈칸 채우기 PDF 열 너비 (번호 / 예문 / 답) - 긴 예문은 넓은 칸에서 줄바꿈
+const PDF_CLOZE_COLUMN_STYLES = {
+    0: { cellWidth: 15, halign: 'center' },
+    1: { cellWidth: 'auto', overflow: 'linebreak' },
+    2: { cellWidth: 45 }
+};
+
+// 받아쓰기 PDF 답안 칸 (한 줄에 번호/답 두 묶음)
+const PDF_DICTATION_COLUMNS_PER_ROW = 2;
+const PDF_DICTATION_COLUMN_STYLES = {
+    0: { cellWidth: 12, halign: 'center', valign: 'middle' },
+    1: { cellWidth: 'auto', fontSize: 8, textColor: [120, 120, 120], valign: 'top' },
+    2: { cellWidth: 12, halign: 'center', valign: 'middle' },
+    3: { cellWidth: 'auto', fontSize: 8, textColor: [120, 120, 120], valign: 'top' }
+};
+
+/**
+ * PDF 표 그리기 (시험지/정답지 공통 스타일)
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {string[]} head - 머리글
+ * @param {string[][]} body - 표 데이터
+ * @param {number} startY - 표 시작 위치 (mm)
+ * @param {Object} columnStyles - 열별 스타일 (기본: 번호/문제/답 3열)
+ * @param {Object} cellStyles - 모든 칸에 덧붙일 스타일 (예: 시험지 글자 크기, 최소 높이)
+ */
+function drawPdfTable(doc, head, body, startY, columnStyles = PDF_COLUMN_STYLES, cellStyles = {}) {
+    doc.autoTable({
+        startY,
+        head: [head],
+        body,
+        theme: 'grid',
+        headStyles: {
+            fillColor: [245, 245, 245],
+            textColor: [51, 51, 51],
+            fontStyle: 'bold',
+            halign: 'center'
+        },
+        columnStyles,
+        styles: {
+            font: doc.getFont().fontName,
+            fontSize: DEFAULT_TEST_SETTINGS.fontSize,
+            cellPadding: 4,
+            lineColor: [200, 200, 200],
+            lineWidth: 0.3,
+            ...cellStyles
+        },
+        alternateRowStyles: {
+            fillColor: [250, 250, 250]
+        },
+        margin: { left: 15, right: 15 }
+    });
+}
+
+// 2단 PDF: 문제 묶음마다 번호 칸 너비(mm)와 나머지 열의 너비 비율
+const PDF_TWO_COLUMN_NUMBER_WIDTH = 12;
+const PDF_TWO_COLUMN_RATIOS = {
+    written: [0.5, 0.5],
+    'multiple-choice': [0.35, 0.5, 0.15],
+    cloze: [0.65, 0.35]
+};
+
+/**
+ * 문제 표를 단 설정에 맞춰 그리기 (2단이면 한 행에 두 문제, 머리글도 두 번)
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {string[]} head - 문제 하나 분의 머리글
+ * @param {string[][]} rows - 문제별 행
+ * @param {number} startY - 표 시작 위치 (mm)
+ * @param {Object} columnStyles - 1단일 때 열별 스타일
+ * @param {number[]} ratios - 2단일 때 번호 칸을 뺀 열의 너비 비율
+ * @param {TestSettings} layout - 레이아웃 설정 (단 수, 글자 크기)
+ */
+function drawPdfQuestionTable(doc, head, rows, startY, columnStyles, ratios, layout) {
+    if (layout.layoutColumns < 2) {
+        drawPdfTable(doc, head, rows, startY, columnStyles, { fontSize: layout.fontSize });
+        return;
+    }
+
+    const groupWidth = (doc.internal.pageSize.getWidth() - 30) / 2;
+    const restWidth = groupWidth - PDF_TWO_COLUMN_NUMBER_WIDTH;
+    const group = [
+        { ...columnStyles[0], cellWidth: PDF_TWO_COLUMN_NUMBER_WIDTH },
+        ...ratios.map((ratio, index) => ({ ...columnStyles[index + 1], cellWidth: restWidth * ratio }))
+    ];
+    const twoColumnStyles = Object.fromEntries([...group, ...group].map((style, index) => [index, style]));
+
+    const pairedRows = [];
+    for (let i = 0; i < rows.length; i += 2) {
+        pairedRows.push([...rows[i], ...(rows[i + 1] || head.map(() => ''))]);
+    }
+    drawPdfTable(doc, [...head, ...head], pairedRows, startY, twoColumnStyles, { fontSize: layout.fontSize, cellPadding: 2 });
+}
+
+/**
+ * 시험지 페이지를 PDF에 그리기
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {TestSettings} layout - 레이아웃 설정
+ */
+function drawTestSheetPdf(doc, testSheet, layout) {
+    const info = [
+        `날짜: ${testSheet.date}`,
+        getTestSummaryLabel(testSheet),
+        getTestCategoryLabel(testSheet),
+        getTestDeckLabel(testSheet),
+        `총 ${testSheet.totalCount}문제`
+    ].filter(Boolean).join('    ');
+    const headerBottom = drawPdfHeader(doc, getTestTitle(testSheet), info, layout);
+
+    // 반, 번호, 이름, 점수 칸
+    drawPdfHeaderFields(doc, testSheet, headerBottom + 5, layout);
+    const startY = headerBottom + 12;
+
+    const [questionLabel, answerLabel] = getTestColumnLabels(testSheet.testType, testSheet.questionType);
+
+    // 받아쓰기: 번호와 빈 답 칸을 두 묶음씩 나란히 놓은 답안 칸
+    if (testSheet.questionType === 'dictation') {
+        drawDictationGridPdf(doc, testSheet, startY, layout);
+        return;
+    }
+
+    // 객관식: 보기를 한 칸에 줄바꿈으로 나열하고 답 칸은 좁게
+    if (testSheet.questionType === 'multiple-choice') {
+        const tableData = testSheet.words.map(item => [
+            item.number.toString(),
+            item.question,
+            item.choices.map((choice, index) => `${CHOICE_LETTERS[index]}. ${choice}`).join('\n'),
+            ''
+        ]);
+        drawPdfQuestionTable(doc, ['번호', questionLabel, '보기', '답'], tableData, startY,
+            PDF_CHOICE_COLUMN_STYLES, PDF_TWO_COLUMN_RATIOS['multiple-choice'], layout);
+        return;
+    }
+
+    // 테이블 데이터 준비
+    const tableData = testSheet.words.map(item => [
+        item.number.toString(),
+        item.question,
+        '' // 빈 답안 칸
+    ]);
+
+    const isCloze = testSheet.questionType === 'cloze';
+    drawPdfQuestionTable(doc, ['번호', questionLabel, answerLabel], tableData, startY,
+        isCloze ? PDF_CLOZE_COLUMN_STYLES : PDF_COLUMN_STYLES,
+        isCloze ? PDF_TWO_COLUMN_RATIOS.cloze : PDF_TWO_COLUMN_RATIOS.written, layout);
+}
+
+/**
+ * 받아쓰기 답안 칸을 PDF에 그리기 (힌트는 답 칸 위쪽에 작게)
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {number} startY - 표 시작 위치 (mm)
+ * @param {TestSettings} layout - 레이아웃 설정
+ */
+function drawDictationGridPdf(doc, testSheet, startY, layout) {
+    const rows = [];
+    for (let i = 0; i < testSheet.words.length; i += PDF_DICTATION_COLUMNS_PER_ROW) {
+        const row = [];
+        testSheet.words.slice(i, i + PDF_DICTATION_COLUMNS_PER_ROW).forEach(item => {
+            row.push(item.number.toString(), item.hint);
+        });
+        while (row.length < PDF_DICTATION_COLUMNS_PER_ROW * 2) row.push('');
+        rows.push(row);
+    }
+
+    const head = Array.from({ length: PDF_DICTATION_COLUMNS_PER_ROW }, () => ['번호', '영어 단어']).flat();
+    drawPdfTable(doc, head, rows, startY, PDF_DICTATION_COLUMN_STYLES, { fontSize: layout.fontSize, minCellHeight: 14 });
+}
+
+/**
+ * 정답지 페이지를 PDF에 그리기 (시험지와 같은 번호 사용)
+ * @param {Object} doc - jsPDF 인스턴스
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @param {TestSettings} layout - 레이아웃 설정
+ */
+function drawAnswerKeyPdf(doc, testSheet, layout) {
+    const headerBottom = drawPdfHeader(doc, `${getTestTitle(testSheet)} - 정답`,
+        `날짜: ${testSheet.date}    ${getTestCategoryLabel(testSheet)}    총 ${testSheet.totalCount}문제`, layout);
+
+    const tableData = testSheet.words.map(item => [
+        item.number.toString(),
+        item.question,
+        formatAnswer(item)
+    ]);
+    const [questionLabel] = getTestColumnLabels(testSheet.testType, testSheet.questionType);
+    const isCloze = testSheet.questionType === 'cloze';
+
+    // 받아쓰기 정답지는 시험지와 달리 번호/단어/정답 표이므로 단 설정을 그대로 따름
+    drawPdfQuestionTable(doc, ['번호', questionLabel, '정답'], tableData, headerBottom + 3,
+        isCloze ? PDF_CLOZE_COLUMN_STYLES : PDF_COLUMN_STYLES,
+        isCloze ? PDF_TWO_COLUMN_RATIOS.cloze : PDF_TWO_COLUMN_RATIOS.written, layout);
+}
+
+// ========================================
+// Dictation (받아쓰기 음성 읽기)
+// ========================================
+
+// 한 단어를 여러 번 읽을 때 사이 간격 (ms)
+const DICTATION_REPEAT_GAP = 1200;
+
+/**
+ * 브라우저 음성 합성 지원 여부
+ * @returns {boolean}
+ */
+function isSpeechSupported() {
+    return 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * 영어 문장 읽기 (다 읽거나 취소되면 끝나는 Promise)
+ * @param {string} text - 읽을 내용
+ * @param {number} rate - 읽기 속도
+ * @returns {Promise<void>}
+ */
+function speakText(text, rate) {
+    return new Promise(resolve => {
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = 'en-US';
+        utterance.rate = rate;
+        utterance.onend = () => resolve();
+        utterance.onerror = () => resolve();
+        window.speechSynthesis.speak(utterance);
+    });
+}
+
+/**
+ * 지정한 시간만큼 기다리기
+ * @param {number} ms - 기다릴 시간 (ms)
+ * @returns {Promise<void>}
+ */
+function waitFor(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 받아쓰기 문제 하나를 설정한 횟수만큼 읽기
+ * @param {Object} item - 시험 문제
+ * @param {number} token - 재생 토큰 (중간에 바뀌면 멈춤)
+ * @returns {Promise<boolean>} 끝까지 읽었으면 true
+ */
+async function speakDictationItem(item, token) {
+    const { dictationRepeat, dictationRate } = state.settings;
+    for (let i = 0; i < dictationRepeat; i++) {
+        if (i > 0) await waitFor(DICTATION_REPEAT_GAP);
+        if (token !== state.dictation.token) return false;
+        await speakText(item.english, dictationRate);
+    }
+    return token === state.dictation.token;
+}
+
+/**
+ * 받아쓰기 재생 (멈춘 곳부터 이어서 끝까지 차례로 읽음)
+ */
+async function playDictation() {
+    const testSheet = state.generatedTest;
+    if (!testSheet || testSheet.questionType !== 'dictation') return;
+    if (!isSpeechSupported()) {
+        showToast('이 브라우저는 음성 읽기를 지원하지 않습니다.', 'error');
+        return;
+    }
+
+    const dictation = state.dictation;
+    if (dictation.index >= testSheet.words.length) dictation.index = 0;
+    const token = ++dictation.token;
+    dictation.playing = true;
+
+    while (dictation.index < testSheet.words.length) {
+        updateDictationPlayer();
+        if (!await speakDictationItem(testSheet.words[dictation.index], token)) return;
+
+        dictation.index++;
+        if (dictation.index < testSheet.words.length) {
+            await waitFor(state.settings.dictationPause * 1000);
+            if (token !== dictation.token) return;
+        }
+    }
+
+    dictation.playing = false;
+    dictation.index = 0;
+    updateDictationPlayer('받아쓰기를 마쳤습니다. 번호를 골라 다시 들을 수 있습니다.');
+}
+
+/**
+ * 받아쓰기 일시 정지 (다시 재생하면 지금 문제부터 읽음)
+ */
+function pauseDictation() {
+    state.dictation.token++;
+    state.dictation.playing = false;
+    if (isSpeechSupported()) window.speechSynthesis.cancel();
+    updateDictationPlayer();
+}
+
+/**
+ * 받아쓰기 멈추고 처음으로 되돌리기
+ */
+function stopDictation() {
+    const dictation = state.dictation;
+    if (dictation.playing && isSpeechSupported()) window.speechSynthesis.cancel();
+    dictation.token++;
+    dictation.playing = false;
+    dictation.index = 0;
+    updateDictationPlayer();
+}
+
+/**
+ * n번 문제만 다시 읽기 (차례대로 읽던 중이면 일시 정지)
+ * @param {number} number - 문제 번호
+ */
+async function replayDictationItem(number) {
+    const item = state.generatedTest?.words.find(word => word.number === number);
+    if (!item) {
+        showToast('다시 들을 문제 번호를 확인해주세요.', 'warning');
+        return;
+    }
+    if (!isSpeechSupported()) {
+        showToast('이 브라우저는 음성 읽기를 지원하지 않습니다.', 'error');
+        return;
+    }
+
+    pauseDictation();
+    const token = state.dictation.token;
+    updateDictationPlayer(`${number}번 다시 듣는 중`);
+    if (await speakDictationItem(item, token)) {
+        updateDictationPlayer();
+    }
+}
+
+/**
+ * 받아쓰기 재생 도구 HTML 생성 (인쇄 시 숨김)
+ * @param {Object} testSheet - 시험지 데이터 객체
+ * @returns {string} 재생 도구 HTML
+ */
+function renderDictationPlayer(testSheet) {
+    const supported = isSpeechSupported();
+    return `
+        <div class="dictation-player no-print">
+            <div class="dictation-player__controls">
+                <button type="button" class="btn btn--primary dictation-play-btn" ${supported ? '' : 'disabled'}>▶ 듣기 시작</button>
+                <button type="button" class="btn btn--outline dictation-pause-btn" disabled>일시 정지</button>
+                <button type="button" class="btn btn--outline dictation-stop-btn" ${supported ? '' : 'disabled'}>처음으로</button>
+            </div>
+            <div class="dictation-player__replay">
+                <input type="number" class="form-input dictation-replay-number" min="1" max="${testSheet.totalCount}"
+                       placeholder="번호" aria-label="다시 들을 문제 번호" ${supported ? '' : 'disabled'}>
+                <button type="button" class="btn btn--outline dictation-replay-btn" ${supported ? '' : 'disabled'}>번 다시 듣기</button>
+            </div>
+            <p class="dictation-player__status" aria-live="polite">
+                ${supported
+                    ? getDictationSettingsLabel()
+                    : '이 브라우저는 음성 읽기를 지원하지 않습니다. 인쇄용 답안지로만 사용할 수 있습니다.'}
+            </p>
+        </div>
+    `;
+}
+
+/**
+ * 받아쓰기 읽기 설정 요약
+ * @returns {string} 예: "반복 2회 · 속도 0.8배 · 간격 5초"
+ */
+function getDictationSettingsLabel() {
+    const { dictationRepeat, dictationRate, dictationPause } = state.settings;
+    return `반복 ${dictationRepeat}회 · 속도 ${dictationRate}배 · 간격 ${dictationPause}초`;
+}
+
+/**
+ * 받아쓰기 재생 도구 이벤트 연결 (displayTestSheet 후 호출)
+ */
+function bindDictationPlayer() {
+    const player = elements.testPreview.querySelector('.dictation-player');
+    if (!player) return;
+
+    const replayInput = player.querySelector('.dictation-replay-number');
+    const replay = () => replayDictationItem(parseInt(replayInput.value, 10));
+
+    player.querySelector('.dictation-play-btn').addEventListener('click', playDictation);
+    player.querySelector('.dictation-pause-btn').addEventListener('click', pauseDictation);
+    player.querySelector('.dictation-stop-btn').addEventListener('click', stopDictation);
+    player.querySelector('.dictation-replay-btn').addEventListener('click', replay);
+    replayInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') replay();
+    });
+}
+
+/**
+ * 받아쓰기 재생 도구의 버튼, 진행 상황, 현재 문제 표시 갱신
+ * @param {string} message - 상태 문구 (없으면 진행 상황)
+ */
+function updateDictationPlayer(message = '') {
+    const player = elements.testPreview?.querySelector('.dictation-player');
+    if (!player || !state.generatedTest) return;
+
+    const { playing, index } = state.dictation;
+    const total = state.generatedTest.words.length;
+    const current = Math.min(index + 1, total);
+
+    player.querySelector('.dictation-play-btn').disabled = playing || !isSpeechSupported();
+    player.querySelector('.dictation-play-btn').textContent = index > 0 ? '▶ 이어서 듣기' : '▶ 듣기 시작';
+    player.querySelector('.dictation-pause-btn').disabled = !playing;
+
+    let status = message;
+    if (!status && playing) status = `${current} / ${total}번 읽는 중`;
+    if (!status && index > 0) status = `${current}번에서 멈춤`;
+    if (!status && isSpeechSupported()) status = getDictationSettingsLabel();
+    if (status) player.querySelector('.dictation-player__status').textContent = status;
+
+    elements.testPreview.querySelectorAll('.dictation-grid__cell').forEach((cell, cellIndex) => {
+        cell.classList.toggle('dictation-grid__cell--current', playing && cellIndex === index);
+    });
+}
+
+// ========================================
+// Test History (지난 시험지)
+// ========================================
+
+// 보관할 지난 시험지 최대 개수 (넘으면 오래된 것부터 삭제)
+const TEST_HISTORY_LIMIT = 100;
+
+/**
+ * 지난 시험지 기록
+ * @typedef {Object} TestRecord
+ * @property {string} id - 시험 ID (채점 결과를 이 ID로 연결)
+ * @property {string} createdAt - 만든 일시 (ISO 8601)
+ * @property {number} seed - 세트 시드 (모든 형 공통)
+ * @property {TestSettings} settings - 만들 때의 시험지 설정
+ * @property {Object[]} words - 출제된 단어 스냅샷 (단어를 고치거나 지워도 그대로)
+ * @property {Object[]|null} decks - 덱별 출제 결과 (덱별 출제가 아니면 null)
+ * @property {Object[]} versions - 형별 시험지 데이터 (문제 순서, 보기, 정답 그대로)
+ */
+
+/**
+ * 시험지 생성에 필요한 단어 필드만 복사
+ * @param {Word} word - 단어 객체
+ * @returns {Object} 단어 스냅샷
+ */
+function snapshotTestWord(word) {
+    return JSON.parse(JSON.stringify({
+        id: word.id,
+        english: word.english,
+        korean: word.korean,
+        senses: word.senses,
+        phonetic: word.phonetic,
+        examples: word.examples,
+        synonyms: word.synonyms,
+        category: word.category,
+        deckIds: word.deckIds
+    }));
+}
+
+/**
+ * 생성한 시험지로 지난 시험지 기록 만들기 (모든 형에 시험 ID를 붙임)
+ * 단어는 실제로 출제된 것만 스냅샷으로 보관
+ * @param {Word[]} sourceWords - 출제 대상 단어
+ * @param {TestSettings} settings - 시험지 설정 (레이아웃은 미리보기와 같은 현재 설정으로 저장)
+ * @param {number} seed - 시드
+ * @param {Object[]} versions - 형별 시험지 데이터
+ * @returns {TestRecord}
+ */
+function createTestRecord(sourceWords, settings, seed, versions) {
+    const id = generateId();
+    versions.forEach(version => { version.testId = id; });
+    const testedIds = new Set(versions[0].words.map(item => item.wordId));
+    return {
+        id,
+        createdAt: new Date().toISOString(),
+        seed,
+        settings: { ...settings, ...getTestLayoutSettings(state.settings) },
+        words: sourceWords.filter(word => testedIds.has(word.id)).map(snapshotTestWord),
+        decks: versions[0].decks || null,
+        versions
+    };
+}
+
+/**
+ * 지난 시험지 목록 로드 (최근 것부터)
+ * @returns {Promise<TestRecord[]>}
+ */
+async function loadTestHistory() {
+    try {
+        const records = await storage.getAll(STORES.TESTS);
+        return records.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    } catch (error) {
+        console.error('지난 시험지 로드 실패:', error);
+        return [];
+    }
+}
+
+/**
+ * 지난 시험지 저장 (개수가 넘치면 오래된 기록 삭제)
+ * @param {TestRecord} record - 저장할 기록
+ */
+async function saveTestRecord(record) {
+    state.testHistory.unshift(record);
+    const removed = state.testHistory.splice(TEST_HISTORY_LIMIT);
+    renderTestHistory();
+
+    if (!await putRecords(STORES.TESTS, [record])) {
+        state.testHistory = state.testHistory.filter(test => test.id !== record.id);
+        renderTestHistory();
+        return;
+    }
+    // 저장하는 사이 더 새 시험지에 밀려 목록에서 빠졌으면 함께 삭제
+    if (!findTestRecord(record.id)) {
+        removed.push(record);
+    }
+    if (removed.length > 0) {
+        await removeRecords(STORES.TESTS, removed.map(test => test.id));
+    }
+}
+
+/**
+ * 지난 시험지 찾기
+ * @param {string} testId - 시험 ID
+ * @returns {TestRecord|undefined}
+ */
+function findTestRecord(testId) {
+    return state.testHistory.find(record => record.id === testId);
+}
+
+/**
+ * 지난 시험지 목록 렌더링
+ */
+function renderTestHistory() {
+    if (!elements.testHistoryList) return;
+
+    if (elements.testHistoryCount) {
+        elements.testHistoryCount.textContent = state.testHistory.length;
+    }
+
+    if (state.testHistory.length === 0) {
+        elements.testHistoryList.innerHTML = '<li class="test-history__empty">아직 만든 시험지가 없습니다.</li>';
+        return;
+    }
+
+    elements.testHistoryList.innerHTML = state.testHistory.map(record => {
+        const sheet = record.versions[0];
+        const versionLabel = record.versions.length > 1
+            ? ` · ${TEST_VERSION_LABELS[0]}~${TEST_VERSION_LABELS[record.versions.length - 1]}`
+            : '';
+        const gradedCount = getScoresForTest(record.id).length;
+        return `
+            <li class="test-history__item" data-id="${record.id}">
+                <div class="test-history__info">
+                    <span class="test-history__title">${escapeHtml(sheet.title)}${versionLabel}</span>
+                    <span class="test-history__meta">
+                        ${new Date(record.createdAt).toLocaleString('ko-KR')} ·
+                        ${escapeHtml(getTestSummaryLabel(sheet))} · ${sheet.totalCount}문제 · 시드 ${record.seed}
+                        ${gradedCount > 0 ? ` · 채점 ${gradedCount}명` : ''}
+                    </span>
+                </div>
+                <div class="test-history__actions">
+                    <button type="button" class="btn btn--small btn--outline" data-action="open">열기</button>
+                    <button type="button" class="btn btn--small btn--outline" data-action="print">인쇄</button>
+                    <button type="button" class="btn btn--small btn--outline" data-action="pdf">PDF</button>
+                    <button type="button" class="btn btn--small btn--outline" data-action="duplicate"
+                            title="같은 단어로 새 순서의 시험지 만들기">복제</button>
+                    <button type="button" class="btn btn--small btn--primary" data-action="grade"
+                            title="학생별로 문제마다 맞음/틀림 입력">채점</button>
+                    <button type="button" class="btn btn--small btn--danger" data-action="delete">삭제</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * 지난 시험지 버튼 클릭 핸들러 (이벤트 위임)
+ * @param {MouseEvent} e - 클릭 이벤트
+ */
+function handleTestHistoryClick(e) {
+    const button = e.target.closest('[data-action]');
+    const item = e.target.closest('.test-history__item');
+    if (!button || !item) return;
+
+    const record = findTestRecord(item.dataset.id);
+    if (!record) return;
+
+    switch (button.dataset.action) {
+        case 'open':
+            openTestRecord(record);
+            break;
+        case 'print':
+            openTestRecord(record);
+            window.print();
+            break;
+        case 'pdf':
+            openTestRecord(record);
+            handleDownloadPdf();
+            break;
+        case 'duplicate':
+            duplicateTestRecord(record);
+            break;
+        case 'grade':
+            openScoreDialog(record);
+            break;
+        case 'delete':
+            deleteTestRecord(record);
+            break;
+    }
+}
+
+/**
+ * 지난 시험지를 미리보기에 다시 열기 (저장된 문제 순서와 레이아웃 그대로)
+ * @param {TestRecord} record - 지난 시험지
+ */
+function openTestRecord(record) {
+    state.testVersions = record.versions;
+    state.generatedTest = record.versions[0];
+    state.testLayout = getTestLayoutSettings(normalizeSettings(record.settings));
+    state.quiz = null;
+    displayTestSheet(state.generatedTest);
+
+    if (elements.downloadPdfBtn) {
+        elements.downloadPdfBtn.disabled = false;
+    }
+}
+
+/**
+ * 지난 시험지와 같은 단어·설정으로 새 시드의 시험지 만들기 (문제 순서와 보기만 달라짐)
+ * @param {TestRecord} record - 지난 시험지
+ */
+function duplicateTestRecord(record) {
+    const deckSelection = record.decks ? { words: record.words, decks: record.decks } : null;
+    const settings = { ...normalizeSettings(record.settings), questionCount: 0 };
+    createTest(record.words, settings, deckSelection, createSeed());
+    elements.testPreview?.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * 지난 시험지 삭제
+ * @param {TestRecord} record - 지난 시험지
+ */
+async function deleteTestRecord(record) {
+    const scoreIds = getScoresForTest(record.id).map(score => score.id);
+    const message = scoreIds.length > 0
+        ? `이 시험지와 학생 ${scoreIds.length}명의 채점 결과를 삭제할까요? (단어의 학습 기록은 그대로 남습니다)`
+        : '이 시험지를 지난 시험지 목록에서 삭제할까요?';
+    if (!confirm(message)) return;
+    if (!await removeRecords(STORES.TESTS, [record.id])) return;
+    if (scoreIds.length > 0 && await removeRecords(STORES.SCORES, scoreIds)) {
+        state.scores = state.scores.filter(score => score.testId !== record.id);
+        renderScoreReport();
+    }
+
+    state.testHistory = state.testHistory.filter(test => test.id !== record.id);
+    renderTestHistory();
+    showToast('지난 시험지를 삭제했습니다.', 'success');
+}
+
+// ========================================
+// Score Entry (종이 시험 채점)
+// ========================================
+
+// 채점 결과로 외운 단어로 표시하는 기준 (채점 횟수, 정답률)
+const MASTERY_MIN_ATTEMPTS = 3;
+const MASTERY_ACCURACY = 0.8;
+
+// 채점 결과에 보여 줄 많이 틀린 단어 수
+const MOST_MISSED_LIMIT = 5;
+
+// 문제별 채점 표시
+const SCORE_MARKS = {
+    correct: { symbol: '○', label: '맞음' },
+    wrong: { symbol: '✕', label: '틀림' },
+    empty: { symbol: '·', label: '채점 안 함' }
+};
+
+/**
+ * 종이 시험 채점 결과 구조 (학생 한 명, 시험지 한 장)
+ * @typedef {Object} ScoreRecord
+ * @property {string} id - 고유 식별자
+ * @property {string} testId - 지난 시험지 ID
+ * @property {number} versionIndex - 형 번호 (0부터, A형 = 0)
+ * @property {string} title - 시험지 제목 (시험지를 지워도 결과에 표시)
+ * @property {string} student - 학생 이름
+ * @property {Object[]} results - 문제별 결과 ({ number, wordId, english, korean, correct })
+ * @property {number} correct - 맞은 문제 수
+ * @property {number} total - 문제 수
+ * @property {string} gradedAt - 처음 채점한 일시 (ISO 8601 형식)
+ */
+
+/**
+ * 채점 결과 로드 (최근 것부터)
+ * @returns {Promise<ScoreRecord[]>}
+ */
+async function loadScores() {
+    try {
+        const scores = await storage.getAll(STORES.SCORES);
+        return scores.sort((a, b) => Date.parse(b.gradedAt) - Date.parse(a.gradedAt));
+    } catch (error) {
+        console.error('채점 결과 로드 실패:', error);
+        return [];
+    }
+}
+
+/**
+ * 시험지 하나의 채점 결과
+ * @param {string} testId - 시험 ID
+ * @returns {ScoreRecord[]}
+ */
+function getScoresForTest(testId) {
+    return state.scores.filter(score => score.testId === testId);
+}
+
+/**
+ * 시험지에서 학생의 채점 결과 찾기
+ * @param {string} testId - 시험 ID
+ * @param {string} student - 학생 이름
+ * @returns {ScoreRecord|undefined}
+ */
+function findStudentScore(testId, student) {
+    return state.scores.find(score => score.testId === testId && score.student === student);
+}
+
+/**
+ * 채점한 적 있는 학생 이름 (가나다순)
+ * @returns {string[]}
+ */
+function getStudentNames() {
+    return [...new Set(state.scores.map(score => score.student))].sort((a, b) => a.localeCompare(b, 'ko'));
+}
+
+/**
+ * 채점 창에서 채점 중인 형의 시험지
+ * @returns {Object} 시험지 데이터 객체
+ */
+function getScoringSheet() {
+    return findTestRecord(state.scoring.testId).versions[state.scoring.versionIndex];
+}
+
+/**
+ * 채점 창 열기
+ * @param {TestRecord} record - 채점할 지난 시험지
+ */
+function openScoreDialog(record) {
+    if (!elements.scoreDialog) return;
+
+    state.scoring = { testId: record.id, versionIndex: 0, marks: [], scoreId: null };
+
+    const sheet = record.versions[0];
+    elements.scoreTestInfo.textContent =
+        `${sheet.title} · ${new Date(record.createdAt).toLocaleString('ko-KR')} · ${sheet.totalCount}문제`;
+    elements.scoreVersion.innerHTML = record.versions.map((version, index) =>
+        `<option value="${index}">${version.version || TEST_VERSION_LABELS[index]}</option>`
+    ).join('');
+    elements.scoreVersionGroup.hidden = record.versions.length < 2;
+
+    resetScoreForm();
+    renderScoreTestResults();
+
+    elements.scoreDialog.hidden = false;
+    elements.scoreStudent.focus();
+}
+
+/**
+ * 채점 창 닫기
+ */
+function closeScoreDialog() {
+    if (!elements.scoreDialog) return;
+
+    elements.scoreDialog.hidden = true;
+    state.scoring = null;
+}
+
+/**
+ * 다음 학생을 채점하도록 이름과 채점 표시 비우기 (형은 그대로)
+ */
+function resetScoreForm() {
+    state.scoring.scoreId = null;
+    elements.scoreStudent.value = '';
+    elements.scoreStudentOptions.innerHTML = getStudentNames()
+        .map(name => `<option value="${escapeHtml(name)}"></option>`)
+        .join('');
+    elements.scoreVersion.value = String(state.scoring.versionIndex);
+    state.scoring.marks = getScoringSheet().words.map(() => null);
+    renderScoreMarks();
+}
+
+/**
+ * 저장된 채점 결과를 채점 창에 불러오기 (고치기)
+ * @param {ScoreRecord} score - 채점 결과
+ */
+function loadScoreIntoForm(score) {
+    const record = findTestRecord(score.testId);
+    state.scoring.versionIndex = Math.min(score.versionIndex, record.versions.length - 1);
+    state.scoring.scoreId = score.id;
+    elements.scoreVersion.value = String(state.scoring.versionIndex);
+    elements.scoreStudent.value = score.student;
+
+    // 형마다 문제 순서가 달라도 단어로 맞춰 불러옴
+    const marks = new Map(score.results.map(result => [result.wordId, result.correct]));
+    state.scoring.marks = getScoringSheet().words.map(item => marks.has(item.wordId) ? marks.get(item.wordId) : null);
+    renderScoreMarks();
+}
+
+/**
+ * 문제별 채점 목록 렌더링
+ */
+function renderScoreMarks() {
+    const sheet = getScoringSheet();
+    elements.scoreMarks.innerHTML = sheet.words.map((item, index) => `
+        <li class="score-item">
+            <span class="score-item__number">${item.number}</span>
+            <span class="score-item__question">${escapeHtml(item.question || QUESTION_TYPE_LABELS[sheet.questionType])}</span>
+            <span class="score-item__answer">${escapeHtml(formatAnswer(item))}</span>
+            <button type="button" class="score-item__mark" data-index="${index}"></button>
+        </li>
+    `).join('');
+
+    state.scoring.marks.forEach((mark, index) => updateScoreMarkButton(index));
+    updateScoreTotal();
+}
+
+/**
+ * 채점 버튼 표시 갱신
+ * @param {number} index - 문제 순서 (0부터)
+ */
+function updateScoreMarkButton(index) {
+    const button = elements.scoreMarks.querySelector(`[data-index="${index}"]`);
+    const mark = state.scoring.marks[index];
+    const key = mark === true ? 'correct' : mark === false ? 'wrong' : 'empty';
+
+    button.className = `score-item__mark score-item__mark--${key}`;
+    button.textContent = SCORE_MARKS[key].symbol;
+    button.setAttribute('aria-label', `${index + 1}번 ${SCORE_MARKS[key].label}`);
+}
+
+/**
+ * 채점 중인 점수 표시
+ */
+function updateScoreTotal() {
+    const marks = state.scoring.marks;
+    const correct = marks.filter(mark => mark === true).length;
+    const remaining = marks.filter(mark => mark === null).length;
+    elements.scoreTotal.textContent = remaining > 0
+        ? `${correct} / ${marks.length}점 · 채점 안 한 문제 ${remaining}개`
+        : `${correct} / ${marks.length}점`;
+}
+
+/**
+ * 문제 하나 채점
+ * @param {number} index - 문제 순서 (0부터)
+ * @param {boolean|null} mark - 맞음(true) / 틀림(false) / 지우기(null)
+ */
+function setScoreMark(index, mark) {
+    state.scoring.marks[index] = mark;
+    updateScoreMarkButton(index);
+    updateScoreTotal();
+}
+
+/**
+ * 채점 버튼으로 초점 이동 (마지막 문제 다음은 저장 버튼)
+ * @param {number} index - 문제 순서 (0부터)
+ */
+function focusScoreMark(index) {
+    if (index >= state.scoring.marks.length) {
+        elements.scoreSaveBtn.focus();
+        return;
+    }
+    elements.scoreMarks.querySelector(`[data-index="${Math.max(0, index)}"]`)?.focus();
+}
+
+/**
+ * 채점 버튼 클릭 핸들러 (맞음 ↔ 틀림 전환)
+ * @param {MouseEvent} e - 클릭 이벤트
+ */
+function handleScoreMarksClick(e) {
+    const button = e.target.closest('.score-item__mark');
+    if (!button) return;
+
+    const index = Number(button.dataset.index);
+    setScoreMark(index, state.scoring.marks[index] !== true);
+}
+
+/**
+ * 채점 키보드 입력
+ * O·1·Space: 맞음, X·0: 틀림 (입력 후 다음 문제로), Backspace: 지우고 이전 문제로, ↑↓: 이동
+ * @param {KeyboardEvent} e - 키 이벤트
+ */
+function handleScoreMarksKeydown(e) {
+    const button = e.target.closest('.score-item__mark');
+    if (!button || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const index = Number(button.dataset.index);
+    switch (e.key.toLowerCase()) {
+        case 'o':
+        case '1':
+        case ' ':
+            setScoreMark(index, true);
+            focusScoreMark(index + 1);
+            break;
+        case 'x':
+        case '0':
+            setScoreMark(index, false);
+            focusScoreMark(index + 1);
+            break;
+        case 'backspace':
+        case 'delete':
+            setScoreMark(index, null);
+            if (e.key === 'Backspace') focusScoreMark(index - 1);
+            break;
+        case 'arrowdown':
+            focusScoreMark(Math.min(index + 1, state.scoring.marks.length - 1));
+            break;
+        case 'arrowup':
+            focusScoreMark(index - 1);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
+/**
+ * 채점하지 않은 문제를 모두 맞음으로 표시 (틀린 문제만 표시한 뒤 사용)
+ */
+function handleScoreFillCorrect() {
+    state.scoring.marks.forEach((mark, index) => {
+        if (mark === null) setScoreMark(index, true);
+    });
+    elements.scoreSaveBtn.focus();
+}
+
+/**
+ * 형 변경 핸들러 (문제 순서가 달라지므로 채점 표시를 비움)
+ */
+function handleScoreVersionChange() {
+    state.scoring.versionIndex = Number(elements.scoreVersion.value);
+    state.scoring.marks = getScoringSheet().words.map(() => null);
+    renderScoreMarks();
+}
+
+/**
+ * 학생 이름 변경 핸들러 (이미 채점한 학생이면 결과를 불러와 고치기)
+ */
+function handleScoreStudentChange() {
+    const score = findStudentScore(state.scoring.testId, elements.scoreStudent.value.trim());
+    if (score) {
+        loadScoreIntoForm(score);
+        showToast(`${escapeHtml(score.student)} 학생의 채점 결과를 불러왔습니다. 고친 뒤 저장하세요.`, 'info');
+    }
+}
+
+/**
+ * 학생 이름 입력에서 Enter를 누르면 첫 문제로 이동
+ * @param {KeyboardEvent} e - 키 이벤트
+ */
+function handleScoreStudentKeydown(e) {
+    if (e.key !== 'Enter' || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+    focusScoreMark(0);
+}
+
+/**
+ * 채점 창 키보드 단축키 (Esc: 닫기, Ctrl+Enter: 저장)
+ * @param {KeyboardEvent} e - 키 이벤트
+ */
+function handleScoreDialogKeydown(e) {
+    if (e.key === 'Escape') {
+        closeScoreDialog();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        handleScoreSave();
+    }
+}
+
+/**
+ * 학생 채점 결과 저장 후 다음 학생 준비
+ * 불러온 결과를 고치는 중이면 이름을 바꿔도 그 결과를 고치고,
+ * 아니면 같은 시험지에서 같은 이름으로 저장할 때 이전 결과를 고침
+ */
+async function handleScoreSave() {
+    const scoring = state.scoring;
+    if (!scoring) return;
+
+    const student = elements.scoreStudent.value.trim();
+    if (!student) {
+        showToast('학생 이름을 입력해주세요.', 'warning');
+        elements.scoreStudent.focus();
+        return;
+    }
+    const unmarked = scoring.marks.indexOf(null);
+    if (unmarked !== -1) {
+        showToast(`${unmarked + 1}번 문제를 아직 채점하지 않았습니다.`, 'warning');
+        focusScoreMark(unmarked);
+        return;
+    }
+
+    const record = findTestRecord(scoring.testId);
+    const sheet = record.versions[scoring.versionIndex];
+    const sameName = findStudentScore(record.id, student);
+    const previous = scoring.scoreId
+        ? state.scores.find(item => item.id === scoring.scoreId)
+        : sameName;
+    if (previous && sameName && sameName.id !== previous.id) {
+        showToast(`${escapeHtml(student)} 학생은 이미 채점했습니다. 다른 이름을 입력해주세요.`, 'warning');
+        elements.scoreStudent.focus();
+        return;
+    }
+    const score = {
+        id: previous ? previous.id : generateId(),
+        testId: record.id,
+        versionIndex: scoring.versionIndex,
+        title: getTestTitle(sheet),
+        student,
+        results: sheet.words.map((item, index) => ({
+            number: item.number,
+            wordId: item.wordId,
+            english: item.english,
+            korean: item.korean,
+            correct: scoring.marks[index]
+        })),
+        correct: scoring.marks.filter(Boolean).length,
+        total: sheet.words.length,
+        gradedAt: previous ? previous.gradedAt : new Date().toISOString()
+    };
+
+    if (!await putRecords(STORES.SCORES, [score])) return;
+
+    const previousScores = state.scores;
+    state.scores = [score, ...state.scores.filter(item => item.id !== score.id)]
+        .sort((a, b) => Date.parse(b.gradedAt) - Date.parse(a.gradedAt));
+
+    // 단어에 반영하지 못하면 채점 결과도 되돌려 다음 저장 때 중복 반영되지 않도록 함
+    if (!await applyScoreToWords(score, previous)) {
+        state.scores = previousScores;
+        if (previous) {
+            await putRecords(STORES.SCORES, [previous]);
+        } else {
+            await removeRecords(STORES.SCORES, [score.id]);
+        }
+        showToast('단어 학습 기록에 반영하지 못해 채점 결과를 저장하지 않았습니다.', 'error');
+        return;
+    }
+
+    showToast(`${escapeHtml(student)} 학생 ${score.correct} / ${score.total}점을 ${previous ? '고쳤습니다' : '저장했습니다'}.`, 'success');
+    renderTestHistory();
+    renderScoreReport();
+
+    // 창을 닫지 않았으면 다음 학생 채점 준비
+    if (state.scoring === scoring) {
+        resetScoreForm();
+        renderScoreTestResults();
+        elements.scoreStudent.focus();
+    }
+}
+
+/**
+ * 채점 결과를 단어의 학습 기록과 암기 상태에 반영
+ * 처음 채점한 문제는 채점 기록을 남기고, 고친 문제는 복습 일정은 두고 정답 수와 기록만 바로잡음
+ * @param {ScoreRecord} score - 저장한 채점 결과
+ * @param {ScoreRecord|null} previous - 고치기 전 결과 (처음 채점이면 null)
+ * @returns {Promise<boolean>} 성공 여부 (단어 저장에 실패하면 단어를 원래대로 되돌림)
+ */
+async function applyScoreToWords(score, previous = null) {
+    const reviewedAt = new Date();
+    const previousMarks = new Map((previous ? previous.results : []).map(result => [result.wordId, result.correct]));
+    const changedWords = [];
+    const snapshots = [];
+    const logEntries = [];
+    const corrections = new Map();
+
+    score.results.forEach(({ wordId, correct }) => {
+        const word = state.words.find(w => w.id === wordId);
+        if (!word) return;
+        if (previousMarks.has(wordId) && previousMarks.get(wordId) === correct) return;
+
+        snapshots.push({ word, review: { ...word.review }, mastered: word.mastered });
+
+        if (!previousMarks.has(wordId)) {
+            recordReview(word, correct, reviewedAt);
+            logEntries.push({
+                id: generateId(),
+                wordId,
+                correct,
+                reviewedAt: reviewedAt.toISOString(),
+                source: 'paper',
+                scoreId: score.id
+            });
+        } else {
+            const review = word.review;
+            review.correct = Math.min(review.attempts, Math.max(0, review.correct + (correct ? 1 : -1)));
+            corrections.set(wordId, correct);
+        }
+        updateWordMastery(word, correct);
+        changedWords.push(word);
+    });
+
+    if (changedWords.length === 0) return true;
+
+    if (!await saveWords(changedWords)) {
+        snapshots.forEach(({ word, review, mastered }) => {
+            word.review = review;
+            word.mastered = mastered;
+        });
+        return false;
+    }
+    if (logEntries.length > 0) {
+        await appendReviewLog(logEntries);
+    }
+    if (corrections.size > 0) {
+        const entries = (await loadReviewLog())
+            .filter(entry => entry.scoreId === score.id && corrections.has(entry.wordId));
+        entries.forEach(entry => { entry.correct = corrections.get(entry.wordId); });
+        await appendReviewLog(entries);
+    }
+    applyFilters();
+    return true;
+}
+
+/**
+ * 채점 결과로 암기 상태 갱신
+ * 틀리면 헷갈리는 단어로, 채점 횟수와 정답률이 기준 이상이면 외운 단어로 표시
+ * @param {Word} word - 단어 객체
+ * @param {boolean} correct - 이번 채점 결과
+ */
+function updateWordMastery(word, correct) {
+    const { attempts, correct: correctCount } = word.review;
+    if (!correct) {
+        word.mastered = false;
+    } else if (attempts >= MASTERY_MIN_ATTEMPTS && correctCount / attempts >= MASTERY_ACCURACY) {
+        word.mastered = true;
+    }
+}
+
+/**
+ * 채점 결과 요약 (평균, 많이 틀린 단어)
+ * @param {ScoreRecord[]} scores - 채점 결과
+ * @returns {{ averageCorrect: number, averagePercent: number, mostMissed: Object[] }}
+ */
+function summarizeScores(scores) {
+    const words = new Map();
+    scores.forEach(score => score.results.forEach(result => {
+        const entry = words.get(result.wordId) || { english: result.english, korean: result.korean, wrong: 0, attempts: 0 };
+        entry.attempts++;
+        if (!result.correct) entry.wrong++;
+        words.set(result.wordId, entry);
+    }));
+
+    const totalCorrect = scores.reduce((sum, score) => sum + score.correct, 0);
+    const totalPercent = scores.reduce((sum, score) => sum + (score.total > 0 ? score.correct / score.total : 0), 0);
+    return {
+        averageCorrect: Math.round(totalCorrect / scores.length * 10) / 10,
+        averagePercent: Math.round(totalPercent / scores.length * 100),
+        mostMissed: [...words.values()]
+            .filter(entry => entry.wrong > 0)
+            .sort((a, b) => b.wrong - a.wrong || b.wrong / b.attempts - a.wrong / a.attempts ||
+                a.english.localeCompare(b.english))
+            .slice(0, MOST_MISSED_LIMIT)
+    };
+}
+
+/**
+ * 많이 틀린 단어 목록 HTML
+ * @param {Object[]} mostMissed - summarizeScores의 mostMissed
+ * @param {string} unit - 출제 단위 (예: '명', '번')
+ * @returns {string} HTML 문자열
+ */
+function renderMostMissedHtml(mostMissed, unit) {
+    if (mostMissed.length === 0) {
+        return '<p class="score-results__empty">틀린 단어가 없습니다.</p>';
+    }
+    return `
+        <h4 class="score-results__heading">가장 많이 틀린 단어</h4>
+        <ol class="score-results__missed">
+            ${mostMissed.map(entry => `
+                <li>
+                    <strong>${escapeHtml(entry.english)}</strong> ${escapeHtml(entry.korean)}
+                    <span class="score-results__count">${entry.wrong} / ${entry.attempts}${unit} 틀림</span>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * 채점 창의 시험지별 결과 렌더링 (학생별 점수, 평균, 많이 틀린 단어)
+ */
+function renderScoreTestResults() {
+    const record = findTestRecord(state.scoring.testId);
+    const scores = getScoresForTest(record.id).sort((a, b) => a.student.localeCompare(b.student, 'ko'));
+    if (scores.length === 0) {
+        elements.scoreTestResults.innerHTML = '<p class="score-results__empty">아직 채점한 학생이 없습니다.</p>';
+        return;
+    }
+
+    const summary = summarizeScores(scores);
+    const showVersion = record.versions.length > 1;
+    elements.scoreTestResults.innerHTML = `
+        <p class="score-results__average">
+            학생 ${scores.length}명 · 평균 ${summary.averageCorrect} / ${record.versions[0].totalCount}점 (${summary.averagePercent}%)
+        </p>
+        <table class="score-table">
+            <thead>
+                <tr>
+                    <th>학생</th>
+                    ${showVersion ? '<th>형</th>' : ''}
+                    <th>점수</th>
+                    <th>채점일</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${scores.map(score => `
+                    <tr data-score-id="${score.id}">
+                        <td>${escapeHtml(score.student)}</td>
+                        ${showVersion ? `<td>${TEST_VERSION_LABELS[score.versionIndex]}</td>` : ''}
+                        <td>${score.correct} / ${score.total}</td>
+                        <td>${formatDate(score.gradedAt)}</td>
+                        <td class="score-table__actions">
+                            <button type="button" class="btn btn--small btn--outline" data-action="edit">고치기</button>
+                            <button type="button" class="btn btn--small btn--danger" data-action="delete">삭제</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${renderMostMissedHtml(summary.mostMissed, '명')}
+    `;
+}
+
+/**
+ * 시험지별 결과의 고치기/삭제 버튼 핸들러 (이벤트 위임)
+ * @param {MouseEvent} e - 클릭 이벤트
+ */
+async function handleScoreResultsClick(e) {
+    const button = e.target.closest('[data-action]');
+    const row = e.target.closest('[data-score-id]');
+    if (!button || !row) return;
+
+    const score = state.scores.find(item => item.id === row.dataset.scoreId);
+    if (!score) return;
+
+    if (button.dataset.action === 'edit') {
+        loadScoreIntoForm(score);
+        focusScoreMark(0);
+    } else if (button.dataset.action === 'delete') {
+        await deleteScore(score);
+    }
+}
+
+/**
+ * 채점 결과 삭제 (이미 반영한 학습 기록은 그대로)
+ * @param {ScoreRecord} score - 채점 결과
+ */
+async function deleteScore(score) {
+    if (!confirm(`${score.student} 학생의 채점 결과를 삭제할까요? (단어의 학습 기록은 그대로 남습니다)`)) return;
+    if (!await removeRecords(STORES.SCORES, [score.id])) return;
+
+    state.scores = state.scores.filter(item => item.id !== score.id);
+    if (state.scoring) {
+        if (state.scoring.scoreId === score.id) {
+            state.scoring.scoreId = null;
+        }
+        renderScoreTestResults();
+    }
+    renderTestHistory();
+    renderScoreReport();
+    showToast(`${escapeHtml(score.student)} 학생의 채점 결과를 삭제했습니다.`, 'success');
+}
+
+/**
+ * 학생별 채점 결과 렌더링 (시험지별 점수, 평균 정답률, 많이 틀린 단어)
+ */
+function renderScoreReport() {
+    if (!elements.scoreReportStudent) return;
+
+    const students = getStudentNames();
+    const current = elements.scoreReportStudent.value;
+    const student = students.includes(current) ? current : (students[0] || '');
+
+    elements.scoreReportStudent.innerHTML = students.length > 0
+        ? students.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')
+        : '<option value="">채점한 학생 없음</option>';
+    elements.scoreReportStudent.value = student;
+    elements.scoreReportStudent.disabled = students.length === 0;
+
+    if (!student) {
+        elements.scoreReportResults.innerHTML =
+            '<p class="score-results__empty">지난 시험지의 "채점"에서 학생 점수를 입력하면 여기에 표시됩니다.</p>';
+        return;
+    }
+
+    const scores = state.scores.filter(score => score.student === student);
+    const summary = summarizeScores(scores);
+    elements.scoreReportResults.innerHTML = `
+        <p class="score-results__average">시험 ${scores.length}개 · 평균 정답률 ${summary.averagePercent}%</p>
+        <table class="score-table">
+            <thead>
+                <tr>
+                    <th>시험지</th>
+                    <th>점수</th>
+                    <th>채점일</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${scores.map(score => `
+                    <tr>
+                        <td>${escapeHtml(score.title)}</td>
+                        <td>${score.correct} / ${score.total} (${Math.round(score.correct / score.total * 100)}%)</td>
+                        <td>${formatDate(score.gradedAt)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${renderMostMissedHtml(summary.mostMissed, '번')}
+    `;
+}
+
+// ========================================
+// Decks (덱 / 단어장)
+// ========================================
+
+// 덱 이름 최대 길이
+const DECK_NAME_MAX_LENGTH = 30;
+
+/**
+ * 덱 레코드 정리 (백업에서 가져온 값 등)
+ * @param {Object} deck - 덱 객체
+ * @returns {Deck} 정리된 덱
+ */
+function normalizeDeck(deck) {
+    return {
+        id: deck.id,
+        name: deck.name.trim().slice(0, DECK_NAME_MAX_LENGTH),
+        createdAt: Number.isNaN(Date.parse(deck.createdAt)) ? new Date().toISOString() : deck.createdAt
+    };
+}
+
+/**
+ * 덱 이름 조회
+ * @param {string} deckId - 덱 ID
+ * @returns {string} 덱 이름 (없는 덱이면 빈 문자열)
+ */
+function getDeckName(deckId) {
+    return state.decks.find(deck => deck.id === deckId)?.name || '';
+}
+
+/**
+ * 덱 이름 검증
+ * @param {string} name - 덱 이름
+ * @returns {string} 토스트에 표시할 오류 메시지 (이름은 이스케이프, 정상이면 빈 문자열)
+ * @returns {string} 오류 메시지 (정상이면 빈 문자열)
+ */
+function validateDeckName(name, exceptId = null) {
+    if (!name) {
+        return '덱 이름을 입력해주세요.';
+    }
+    if (name.length > DECK_NAME_MAX_LENGTH) {
+        return `덱 이름은 ${DECK_NAME_MAX_LENGTH}자 이내로 입력해주세요.`;
+    }
+    const duplicate = state.decks.some(deck =>
+        deck.id !== exceptId && deck.name.toLowerCase() === name.toLowerCase());
+    return duplicate ? `"${escapeHtml(name)}" 덱이 이미 있습니다.` : '';
+}
+
+/**
+ * 필터에서 선택된 덱 (전체/덱 없음이면 null)
+ * @returns {Deck|null}
+ */
+function getSelectedDeck() {
+    return state.decks.find(deck => deck.id === state.currentFilter.deck) || null;
+}
+
+/**
+ * 새 덱 만들기 핸들러
+ */
+async function handleCreateDeck() {
+    const name = (prompt('새 덱 이름을 입력하세요. (예: 3반, Unit 5, 10월 2주차)') || '').trim();
+    if (!name) return;
+
+    const error = validateDeckName(name);
+    if (error) {
+        showToast(error, 'warning');
+        return;
+    }
+
+    const deck = { id: generateId(), name, createdAt: new Date().toISOString() };
+    if (!await saveDecks([deck])) return;
+
+    state.decks.push(deck);
+    state.currentFilter.deck = deck.id;
+    renderDeckOptions();
+    applyFilters();
+
+    showToast(`"${escapeHtml(name)}" 덱을 만들었습니다.`, 'success');
+}
+
+/**
+ * 선택된 덱 이름 변경 핸들러
+ */
+async function handleRenameDeck() {
+    const deck = getSelectedDeck();
+    if (!deck) return;
+
+    const name = (prompt('덱 이름을 입력하세요.', deck.name) || '').trim();
+    if (!name || name === deck.name) return;
+
+    const error = validateDeckName(name, deck.id);
+    if (error) {
+        showToast(error, 'warning');
+        return;
+    }
+
+    if (!await saveDecks([{ ...deck, name }])) return;
+    deck.name = name;
+
+    renderDeckOptions();
+    applyFilters();
+    showToast(`덱 이름을 "${escapeHtml(name)}"(으)로 바꿨습니다.`, 'success');
+}
+
+/**
+ * 선택된 덱 삭제 핸들러 (단어는 지우지 않고 덱에서만 뺌)
+ */
+async function handleDeleteDeck() {
+    const deck = getSelectedDeck();
+    if (!deck) return;
+
+    const deckWords = state.words.filter(word => word.deckIds.includes(deck.id));
+    const confirmed = confirm(
+        `"${deck.name}" 덱을 삭제하시겠습니까?\n덱에 있던 단어 ${deckWords.length}개는 삭제되지 않고 덱에서만 빠집니다.`
+    );
+    if (!confirmed) return;
+
+    // 단어에서 덱을 먼저 빼고, 성공하면 덱 삭제 (덱 삭제에 실패하면 단어를 원래대로 되돌림)
+    const updatedWords = deckWords.map(word => ({
+        ...word,
+        deckIds: word.deckIds.filter(id => id !== deck.id)
+    }));
+    if (!await saveWords(updatedWords)) return;
+    if (!await removeRecords(STORES.DECKS, [deck.id])) {
+        await saveWords(deckWords);
+        return;
+    }
+
+    deckWords.forEach(word => {
+        word.deckIds = word.deckIds.filter(id => id !== deck.id);
+    });
+    state.decks = state.decks.filter(d => d.id !== deck.id);
+    state.currentFilter.deck = 'all';
+
+    // 덱별 출제 설정에서도 제거
+    state.settings = {
+        ...state.settings,
+        deckQuotas: state.settings.deckQuotas.filter(quota => quota.deckId !== deck.id)
+    };
+    saveSettings(state.settings);
+
+    renderDeckOptions();
+    applyFilters();
+    showToast(`"${escapeHtml(deck.name)}" 덱을 삭제했습니다.`, 'success');
+}
+
+/**
+ * 덱 필터 핸들러
+ */
+function handleDeckFilter() {
+    state.currentFilter.deck = elements.filterDeck.value;
+
+    // 특정 덱을 보고 있으면 새 단어도 그 덱에 추가
+    if (getSelectedDeck() && elements.wordDeck) {
+        elements.wordDeck.value = state.currentFilter.deck;
+    }
+
+    renderDeckOptions();
+    applyFilters();
+}
+
+/**
+ * 필터된 단어를 다른 덱으로 이동/복사
+ * @param {boolean} copy - true면 복사, false면 이동
+ */
+async function handleTransferWords(copy) {
+    const targetId = elements.deckTarget?.value;
+    const target = state.decks.find(deck => deck.id === targetId);
+    if (!target) {
+        showToast('옮길 덱을 선택해주세요.', 'warning');
+        return;
+    }
+    if (state.filteredWords.length === 0) {
+        showToast('옮길 단어가 없습니다. 필터를 확인해주세요.', 'warning');
+        return;
+    }
+
+    const changedCount = await transferWords(state.filteredWords, target, copy, count =>
+        `${count}개 단어를 "${escapeHtml(target.name)}" 덱${copy ? '에 복사' : '으로 이동'}했습니다.`
+    );
+    if (changedCount === 0) {
+        showToast(`필터된 단어가 이미 모두 "${escapeHtml(target.name)}" 덱에 있습니다.`, 'info');
+    }
+}
+
+/**
+ * 단어들을 덱으로 이동/복사하고 저장 후 목록 갱신 (실행 취소 기록에 추가)
+ * 이동은 현재 보고 있는 덱(전체 보기면 모든 덱)에서 빼고, 복사는 덱만 추가
+ * @param {Word[]} words - 대상 단어 배열
+ * @param {Deck} target - 대상 덱
+ * @param {boolean} copy - true면 복사, false면 이동
+ * @param {function(number): string} describe - 바뀐 단어 수로 토스트 메시지 만들기
+ * @returns {Promise<number|null>} 덱이 바뀐 단어 수 (저장 실패 시 null)
+ */
+async function transferWords(words, target, copy, describe) {
+    const sourceDeck = getSelectedDeck();
+    const changedWords = [];
+    const previousDeckIds = new Map();
+
+    words.forEach(word => {
+        let deckIds = word.deckIds;
+        if (!copy) {
+            deckIds = sourceDeck ? deckIds.filter(id => id !== sourceDeck.id) : [];
         }
+        if (!deckIds.includes(target.id)) {
+            deckIds = [...deckIds, target.id];
+        }
+        if (deckIds.length === word.deckIds.length && deckIds.every(id => word.deckIds.includes(id))) {
+            return;
+        }
+
+        previousDeckIds.set(word, word.deckIds);
+        word.deckIds = deckIds;
+        changedWords.push(word);
+    });
+
+    if (changedWords.length === 0) return 0;
 
+    if (!await saveWords(changedWords)) {
+        previousDeckIds.forEach((deckIds, word) => {
+            word.deckIds = deckIds;
+        });
         return null;
-    } catch (error) {
-        console.error('사전 검색 오류:', error);
-        throw error;
     }
+
+    applyFilters();
+
+    const before = new Map();
+    previousDeckIds.forEach((deckIds, word) => {
+        const snapshot = snapshotWord(word);
+        snapshot.word.deckIds = [...deckIds];
+        before.set(word.id, snapshot);
+    });
+    recordWordChange(before, describe(changedWords.length));
+    return changedWords.length;
 }
 
 /**
- * 품사를 한글로 변환
- * @param {string} pos - 영어 품사
- * @returns {string} 한글 품사
+ * select 요소에 덱 옵션 다시 채우기 (고정 옵션은 유지)
+ * @param {HTMLSelectElement} select - 대상 select 요소
+ * @param {number} fixedCount - 앞쪽 고정 옵션 수
  */
-function getPartOfSpeechKorean(pos) {
-    const posMap = {
-        'noun': '명',
-        'verb': '동',
-        'adjective': '형',
-        'adverb': '부',
-        'pronoun': '대',
-        'preposition': '전',
-        'conjunction': '접',
-        'interjection': '감',
-        'determiner': '한정',
-        'exclamation': '감'
+function fillDeckOptions(select, fixedCount) {
+    if (!select) return;
+
+    const selected = select.value;
+    while (select.options.length > fixedCount) {
+        select.remove(fixedCount);
+    }
+    state.decks.forEach(deck => {
+        const option = document.createElement('option');
+        option.value = deck.id;
+        option.textContent = deck.name;
+        select.appendChild(option);
+    });
+
+    // 선택했던 덱이 없어졌으면 첫 옵션 선택
+    select.value = selected;
+    if (select.selectedIndex === -1 && select.options.length > 0) {
+        select.selectedIndex = 0;
+    }
+}
+
+/**
+ * 덱 선택 UI 전체 갱신 (필터, 단어 추가, 가져오기, 이동 대상, 덱별 출제)
+ */
+function renderDeckOptions() {
+    if (!state.decks.some(deck => deck.id === state.currentFilter.deck) &&
+        state.currentFilter.deck !== 'none') {
+        state.currentFilter.deck = 'all';
+    }
+
+    fillDeckOptions(elements.filterDeck, 2);
+    if (elements.filterDeck) {
+        elements.filterDeck.value = state.currentFilter.deck;
+    }
+    fillDeckOptions(elements.wordDeck, 1);
+    fillDeckOptions(elements.importDeck, 1);
+    fillDeckOptions(elements.deckTarget, 0);
+    fillDeckOptions(elements.bulkDeck, 0);
+
+    // 특정 덱을 골랐을 때만 이름 변경/삭제 가능
+    const hasSelectedDeck = Boolean(getSelectedDeck());
+    if (elements.renameDeckBtn) elements.renameDeckBtn.disabled = !hasSelectedDeck;
+    if (elements.deleteDeckBtn) elements.deleteDeckBtn.disabled = !hasSelectedDeck;
+
+    const hasDecks = state.decks.length > 0;
+    if (elements.deckTransfer) elements.deckTransfer.hidden = !hasDecks;
+    if (elements.bulkDeckGroup) elements.bulkDeckGroup.hidden = !hasDecks;
+
+    renderDeckQuotaList();
+}
+
+/**
+ * 덱별 출제 설정 중 지금 있는 덱만 반환
+ * 덱 필터로 덱 하나를 보고 있으면 그 덱에서 출제하므로 덱별 출제는 쓰지 않음
+ * @returns {DeckQuota[]}
+ */
+function getActiveDeckQuotas() {
+    if (state.currentFilter.deck !== 'all') return [];
+    return state.settings.deckQuotas.filter(quota => state.decks.some(deck => deck.id === quota.deckId));
+}
+
+/**
+ * 시험지를 만들 때 덱별 출제를 쓰는지 표시
+ */
+function updateDeckQuotaStatus() {
+    if (!elements.deckQuotaStatus) return;
+
+    const savedCount = state.settings.deckQuotas.filter(quota => state.decks.some(deck => deck.id === quota.deckId)).length;
+    const activeCount = getActiveDeckQuotas().length;
+    if (activeCount > 0) {
+        elements.deckQuotaStatus.textContent = `덱별 출제 중: 필터된 단어 목록 대신 고른 덱 ${activeCount}개에서 출제합니다.`;
+    } else if (savedCount > 0) {
+        elements.deckQuotaStatus.textContent = '덱 필터를 고른 동안에는 덱별 출제를 쓰지 않고 필터된 단어로 출제합니다.';
+    } else {
+        elements.deckQuotaStatus.textContent = '';
+    }
+    elements.deckQuotaStatus.hidden = elements.deckQuotaStatus.textContent === '';
+}
+
+/**
+ * 시험지 생성 영역의 덱별 출제 목록 그리기
+ * 덱마다 현재 필터(덱 필터 제외)에 맞는 단어 수를 함께 표시
+ */
+function renderDeckQuotaList() {
+    if (!elements.deckQuotaGroup || !elements.deckQuotaList) return;
+
+    elements.deckQuotaGroup.hidden = state.decks.length === 0;
+    if (state.decks.length === 0) return;
+    updateDeckQuotaStatus();
+
+    const availableWords = getFilteredWords({ ignoreDeck: true });
+    elements.deckQuotaList.innerHTML = state.decks.map(deck => {
+        const quota = state.settings.deckQuotas.find(q => q.deckId === deck.id);
+        const available = availableWords.filter(word => word.deckIds.includes(deck.id)).length;
+        return `
+            <div class="deck-quota__item">
+                <label class="deck-quota__label">
+                    <input type="checkbox" class="deck-quota__check" data-deck-id="${deck.id}" ${quota ? 'checked' : ''}>
+                    ${escapeHtml(deck.name)}
+                    <span class="deck-quota__available">(${available}개)</span>
+                </label>
+                <input type="number" class="form-input deck-quota__count" data-deck-id="${deck.id}"
+                    min="1" step="1" placeholder="전체" aria-label="${escapeHtml(deck.name)} 문제 수"
+                    value="${quota && quota.count > 0 ? quota.count : ''}" ${quota ? '' : 'disabled'}>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * 덱별 출제 설정 변경 핸들러
+ */
+function handleDeckQuotaChange() {
+    const deckQuotas = [];
+    elements.deckQuotaList.querySelectorAll('.deck-quota__item').forEach(item => {
+        const check = item.querySelector('.deck-quota__check');
+        const countInput = item.querySelector('.deck-quota__count');
+        countInput.disabled = !check.checked;
+        if (!check.checked) return;
+
+        const count = parseInt(countInput.value, 10);
+        deckQuotas.push({ deckId: check.dataset.deckId, count: count > 0 ? count : 0 });
+    });
+
+    state.settings = { ...state.settings, deckQuotas };
+    saveSettings(state.settings);
+    updateDeckQuotaStatus();
+}
+
+/**
+ * 여러 덱에서 덱별 문제 수만큼 단어 뽑기
+ * 두 덱에 모두 속한 단어는 먼저 고른 덱에서 한 번만 출제
+ * @param {Word[]} words - 후보 단어 (덱 필터를 뺀 현재 필터 결과)
+ * @param {DeckQuota[]} deckQuotas - 덱별 출제 수
+ * @param {function(): number} random - 난수 함수
+ * @returns {Object} { words: 뽑은 단어, decks: [{ deckId, name, requested, count }] }
+ */
+function selectWordsFromDecks(words, deckQuotas, random) {
+    const usedIds = new Set();
+    const selected = [];
+
+    const decks = deckQuotas.map(({ deckId, count }) => {
+        const deckWords = words.filter(word => word.deckIds.includes(deckId) && !usedIds.has(word.id));
+        const picked = pickWords(deckWords, count, random);
+        picked.forEach(word => {
+            usedIds.add(word.id);
+            selected.push(word);
+        });
+        return { deckId, name: getDeckName(deckId), requested: count, count: picked.length };
+    });
+
+    return { words: selected, decks };
+}
+
+// ========================================
+// Undo / Redo (실행 취소 / 다시 실행)
+// ========================================
+
+// 실행 취소 기록 최대 개수
+const HISTORY_LIMIT = 50;
+
+/**
+ * 단어 하나의 변경 전/후 상태 (null이면 그 시점에 없던 단어)
+ * @typedef {Object} WordSnapshot
+ * @property {Word} word - 단어 복사본
+ * @property {number} index - state.words 안의 위치 (되살릴 때 원래 자리에 넣기 위함)
+ */
+
+/**
+ * 되돌릴 수 있는 변경 하나
+ * @typedef {Object} WordChange
+ * @property {string} message - 변경 설명 (토스트에 표시)
+ * @property {Map<string, WordSnapshot|null>} before - 변경 전 상태
+ * @property {Map<string, WordSnapshot|null>} after - 변경 후 상태
+ */
+
+/**
+ * 단어 하나의 현재 상태 복사
+ * @param {Word} word - 단어 객체
+ * @returns {WordSnapshot}
+ */
+function snapshotWord(word) {
+    return {
+        word: JSON.parse(JSON.stringify(word)),
+        index: state.words.indexOf(word)
     };
-    return posMap[pos.toLowerCase()] || pos;
 }
 
-// ========================================
-// DOM Element References
-// ========================================
-const elements = {
-    // Forms
-    wordForm: null,
-    wordEnglish: null,
-    wordKorean: null,
-    wordCategory: null,
-    lookupBtn: null,
+/**
+ * 단어들의 현재 상태 복사 (변경 전에 호출)
+ * @param {string[]} wordIds - 단어 ID 배열
+ * @returns {Map<string, WordSnapshot|null>}
+ */
+function snapshotWords(wordIds) {
+    const snapshots = new Map();
+    wordIds.forEach(id => {
+        const word = state.words.find(w => w.id === id);
+        snapshots.set(id, word ? snapshotWord(word) : null);
+    });
+    return snapshots;
+}
+
+/**
+ * 저장까지 끝난 변경을 실행 취소 기록에 추가하고 "실행 취소" 토스트 표시
+ * @param {Map<string, WordSnapshot|null>} before - 변경 전 상태 (새로 추가한 단어는 null)
+ * @param {string} message - 변경 설명
+ */
+function recordWordChange(before, message) {
+    /** @type {WordChange} */
+    const change = {
+        message,
+        before,
+        after: snapshotWords([...before.keys()])
+    };
+
+    state.history.undo.push(change);
+    if (state.history.undo.length > HISTORY_LIMIT) {
+        state.history.undo.shift();
+    }
+    state.history.redo = [];
+
+    showToast(message, 'success', 6000, {
+        label: '실행 취소',
+        onClick: () => undoWordChange(change)
+    });
+}
+
+/**
+ * 실행 취소 기록 비우기 (백업 복원처럼 단어 전체가 바뀐 경우)
+ */
+function clearHistory() {
+    state.history.undo = [];
+    state.history.redo = [];
+}
+
+/**
+ * 단어들을 기록된 상태로 되돌리고 저장
+ * 학습 기록(review)은 되돌리지 않고, 삭제된 덱은 다시 넣지 않음
+ * @param {Map<string, WordSnapshot|null>} snapshots - 되돌릴 상태
+ * @returns {Promise<boolean>} 성공 여부
+ */
+async function applyWordSnapshots(snapshots) {
+    const deckIds = new Set(state.decks.map(deck => deck.id));
+    const upserts = [];
+    const removedIds = [];
+
+    snapshots.forEach((snapshot, id) => {
+        const current = state.words.find(word => word.id === id);
+        if (!snapshot) {
+            if (current) removedIds.push(id);
+            return;
+        }
 
-    // Filters
-    filterTabs: null,
-    filterDate: null,
-    resetFilterBtn: null,
-    filterStatus: null,
-    filterStatusText: null,
-    filterStatusCount: null,
+        const word = JSON.parse(JSON.stringify(snapshot.word));
+        word.deckIds = word.deckIds.filter(deckId => deckIds.has(deckId));
+        if (current) {
+            word.review = current.review;
+        }
+        upserts.push({ word, index: snapshot.index, current });
+    });
 
-    // Word List
-    wordList: null,
-    wordCount: null,
+    if (upserts.length > 0 && !await saveWords(upserts.map(entry => entry.word))) return false;
+    if (removedIds.length > 0 && !await deleteWords(removedIds)) return false;
 
-    // Test Generation
-    generateTestBtn: null,
-    downloadPdfBtn: null,
+    const removed = new Set(removedIds);
+    state.words = state.words.filter(word => !removed.has(word.id));
 
-    // Preview
-    testPreview: null,
+    // 원래 위치가 앞인 단어부터 넣어야 위치가 어긋나지 않음
+    upserts.sort((a, b) => a.index - b.index).forEach(({ word, index, current }) => {
+        const currentIndex = state.words.indexOf(current);
+        if (currentIndex !== -1) {
+            state.words[currentIndex] = word;
+        } else {
+            state.words.splice(Math.min(Math.max(index, 0), state.words.length), 0, word);
+        }
+    });
 
-    // Theme
-    themeToggle: null
-};
+    updateDateFilterRange();
+    applyFilters();
+    return true;
+}
 
 /**
- * DOM 요소 참조 초기화
+ * 변경 실행 취소 (기본: 가장 최근 변경)
+ * @param {WordChange} [change] - 토스트에서 되돌릴 변경
  */
-function initElements() {
-    elements.wordForm = document.getElementById('word-form');
-    elements.wordEnglish = document.getElementById('word-english');
-    elements.wordKorean = document.getElementById('word-korean');
-    elements.wordCategory = document.getElementById('word-category');
-    elements.lookupBtn = document.getElementById('lookup-btn');
+async function undoWordChange(change = state.history.undo[state.history.undo.length - 1]) {
+    if (state.history.busy) return;
+    if (!change) {
+        showToast('실행 취소할 작업이 없습니다.', 'info');
+        return;
+    }
+    if (state.history.undo[state.history.undo.length - 1] !== change) {
+        showToast('이후에 바뀐 내용이 있습니다. Ctrl+Z로 최근 작업부터 차례대로 되돌려주세요.', 'warning', 4000);
+        return;
+    }
 
-    elements.filterTabs = document.querySelectorAll('.filter-tab');
-    elements.filterDate = document.getElementById('filter-date');
-    elements.resetFilterBtn = document.getElementById('reset-filter');
-    elements.filterStatus = document.getElementById('filter-status');
-    elements.filterStatusText = document.querySelector('.filter-status__text');
-    elements.filterStatusCount = document.querySelector('.filter-status__count');
+    state.history.busy = true;
+    const applied = await applyWordSnapshots(change.before);
+    state.history.busy = false;
+    if (!applied) return;
 
-    elements.wordList = document.getElementById('word-list');
-    elements.wordCount = document.getElementById('word-count');
+    state.history.undo.pop();
+    state.history.redo.push(change);
+    showToast(`실행 취소: ${change.message}`, 'info', 6000, {
+        label: '다시 실행',
+        onClick: () => redoWordChange(change)
+    });
+}
 
-    elements.generateTestBtn = document.getElementById('generate-test');
-    elements.downloadPdfBtn = document.getElementById('download-pdf');
+/**
+ * 실행 취소한 변경 다시 실행 (기본: 가장 최근에 취소한 변경)
+ * @param {WordChange} [change] - 토스트에서 다시 실행할 변경
+ */
+async function redoWordChange(change = state.history.redo[state.history.redo.length - 1]) {
+    if (state.history.busy) return;
+    if (!change) {
+        showToast('다시 실행할 작업이 없습니다.', 'info');
+        return;
+    }
+    if (state.history.redo[state.history.redo.length - 1] !== change) {
+        showToast('이후에 바뀐 내용이 있습니다. Ctrl+Shift+Z로 차례대로 다시 실행해주세요.', 'warning', 4000);
+        return;
+    }
 
-    elements.testPreview = document.getElementById('test-preview');
+    state.history.busy = true;
+    const applied = await applyWordSnapshots(change.after);
+    state.history.busy = false;
+    if (!applied) return;
 
-    elements.themeToggle = document.getElementById('theme-toggle');
+    state.history.redo.pop();
+    state.history.undo.push(change);
+    showToast(`다시 실행: ${change.message}`, 'success', 6000, {
+        label: '실행 취소',
+        onClick: () => undoWordChange(change)
+    });
+}
+
+/**
+ * Ctrl+Z (실행 취소) / Ctrl+Shift+Z (다시 실행) 단축키
+ * 글자 입력 중에는 브라우저 기본 동작(입력 내용 되돌리기)을 그대로 둠
+ * @param {KeyboardEvent} e - 키보드 이벤트
+ */
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+
+    const target = e.target;
+    const isTextInput = target instanceof HTMLElement && (
+        target.isContentEditable ||
+        target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'file'].includes(target.type))
+    );
+    // 가져오기/채점 창이 열려 있으면 뒤에 있는 단어 목록을 되돌리지 않음
+    if (isTextInput || document.querySelector('.modal:not([hidden])')) return;
+
+    e.preventDefault();
+    if (e.shiftKey) {
+        redoWordChange();
+    } else {
+        undoWordChange();
+    }
 }
 
 // ========================================
-// Event Handlers (Placeholder)
+// Selection & Bulk Actions (다중 선택 및 일괄 작업)
 // ========================================
 
 /**
- * 이벤트 리스너 등록
+ * 선택 모드 켜기/끄기 (끌 때 선택 해제)
  */
-function initEventListeners() {
-    // 테마 토글
-    if (elements.themeToggle) {
-        elements.themeToggle.addEventListener('click', toggleTheme);
-    }
+function toggleSelectionMode() {
+    state.selection.active = !state.selection.active;
+    state.selection.ids.clear();
 
-    // 단어 추가 폼
-    if (elements.wordForm) {
-        elements.wordForm.addEventListener('submit', handleWordSubmit);
+    if (elements.selectionToggle) {
+        elements.selectionToggle.textContent = state.selection.active ? '선택 끝내기' : '선택';
+        elements.selectionToggle.setAttribute('aria-pressed', String(state.selection.active));
     }
 
-    // 사전 검색 버튼
-    if (elements.lookupBtn) {
-        elements.lookupBtn.addEventListener('click', handleLookupWord);
-    }
+    renderWordList();
+    updateSelectionBar();
+}
 
-    // 카테고리 필터 탭
-    elements.filterTabs.forEach(tab => {
-        tab.addEventListener('click', () => handleCategoryFilter(tab));
+/**
+ * 필터에서 빠진 단어는 선택에서도 제외
+ */
+function pruneSelection() {
+    if (state.selection.ids.size === 0) return;
+
+    const visibleIds = new Set(state.filteredWords.map(word => word.id));
+    state.selection.ids.forEach(id => {
+        if (!visibleIds.has(id)) state.selection.ids.delete(id);
     });
+}
 
-    // 날짜 필터
-    if (elements.filterDate) {
-        elements.filterDate.addEventListener('change', handleDateFilter);
-    }
+/**
+ * 선택한 단어 배열 (목록 순서 유지)
+ * @returns {Word[]}
+ */
+function getSelectedWords() {
+    return state.filteredWords.filter(word => state.selection.ids.has(word.id));
+}
 
-    // 필터 초기화
-    if (elements.resetFilterBtn) {
-        elements.resetFilterBtn.addEventListener('click', handleResetFilter);
+/**
+ * 단어 하나 선택/해제
+ * @param {string} wordId - 단어 ID
+ * @param {boolean} selected - 선택 여부
+ */
+function handleWordSelect(wordId, selected) {
+    if (selected) {
+        state.selection.ids.add(wordId);
+    } else {
+        state.selection.ids.delete(wordId);
     }
+    updateSelectionBar();
+}
 
-    // 시험지 생성
-    if (elements.generateTestBtn) {
-        elements.generateTestBtn.addEventListener('click', handleGenerateTest);
-    }
-    if (elements.downloadPdfBtn) {
-        elements.downloadPdfBtn.addEventListener('click', handleDownloadPdf);
+/**
+ * 필터된 단어 모두 선택/해제 ("더 보기"로 아직 안 그린 단어 포함)
+ */
+function handleSelectAll() {
+    if (elements.selectAll.checked) {
+        state.filteredWords.forEach(word => state.selection.ids.add(word.id));
+    } else {
+        state.selection.ids.clear();
     }
+
+    renderWordList();
+    updateSelectionBar();
 }
 
 /**
- * 단어 추가 핸들러
- * @param {Event} e - Submit 이벤트
+ * 일괄 작업 막대 갱신 (선택 수, 전체 선택 체크 상태, 버튼 활성화)
  */
-function handleWordSubmit(e) {
-    e.preventDefault();
-
-    const english = elements.wordEnglish.value.trim();
-    const korean = elements.wordKorean.value.trim();
+function updateSelectionBar() {
+    if (!elements.bulkActions) return;
+
+    elements.bulkActions.hidden = !state.selection.active;
+    if (!state.selection.active) return;
+
+    const total = state.filteredWords.length;
+    const count = state.selection.ids.size;
+
+    elements.selectionCount.textContent = `${count}개 선택`;
+    elements.selectAllLabel.textContent = `필터된 단어 모두 선택 (${total}개)`;
+    elements.selectAll.checked = total > 0 && count === total;
+    elements.selectAll.indeterminate = count > 0 && count < total;
+    elements.selectAll.disabled = total === 0;
+
+    [
+        elements.bulkMasteredBtn,
+        elements.bulkLearningBtn,
+        elements.bulkMoveBtn,
+        elements.bulkCategoryBtn,
+        elements.bulkTestBtn,
+        elements.bulkDeleteBtn
+    ].forEach(button => {
+        if (button) button.disabled = count === 0;
+    });
+}
 
-    // 입력값 검증
-    const validation = validateInput(english, korean);
-    if (!validation.valid) {
-        validation.errors.forEach(error => {
-            if (error.includes('영어')) {
-                showError(elements.wordEnglish, error);
-            } else {
-                showError(elements.wordKorean, error);
-            }
-        });
-        return;
+/**
+ * 일괄 작업 대상 단어 (선택이 없으면 알림 후 null)
+ * @returns {Word[]|null}
+ */
+function getBulkTargetWords() {
+    const words = getSelectedWords();
+    if (words.length === 0) {
+        showToast('먼저 단어를 선택해주세요.', 'warning');
+        return null;
     }
+    return words;
+}
 
-    // 새 단어 객체 생성
-    const newWord = {
-        id: generateId(),
-        english: english,
-        korean: korean,
-        mastered: false,
-        dateAdded: new Date().toISOString()
-    };
-
-    // state에 추가
-    state.words.push(newWord);
+/**
+ * 선택한 단어의 암기 상태 일괄 변경
+ * @param {boolean} mastered - 변경할 암기 상태
+ */
+async function handleBulkMastered(mastered) {
+    const words = getBulkTargetWords();
+    if (!words) return;
 
-    // localStorage에 저장
-    const saved = saveWords(state.words);
-    if (!saved) {
-        // 저장 실패 시 state에서 제거
-        state.words.pop();
+    const label = mastered ? '외운 단어' : '헷갈리는 단어';
+    if (words.every(word => word.mastered === mastered)) {
+        showToast(`선택한 단어가 이미 모두 ${label}입니다.`, 'info');
         return;
     }
 
-    // 입력 필드 초기화
-    elements.wordEnglish.value = '';
-    elements.wordKorean.value = '';
-    elements.wordEnglish.focus();
-
-    // 날짜 드롭다운 업데이트 및 필터 적용
-    updateDateFilterOptions();
-    applyFilters();
-
-    // 성공 토스트
-    showToast(`"${english}" 단어가 추가되었습니다.`, 'success');
+    await setWordsMastered(words.map(word => word.id), mastered, count => `${count}개 단어를 ${label}로 표시했습니다.`);
 }
 
 /**
- * 사전 검색 핸들러
+ * 선택한 단어를 덱으로 이동
  */
-async function handleLookupWord() {
-    const english = elements.wordEnglish.value.trim();
+async function handleBulkMove() {
+    const words = getBulkTargetWords();
+    if (!words) return;
 
-    if (!english) {
-        showToast('검색할 영어 단어를 입력해주세요.', 'warning');
-        elements.wordEnglish.focus();
+    const target = state.decks.find(deck => deck.id === elements.bulkDeck?.value);
+    if (!target) {
+        showToast('옮길 덱을 선택해주세요.', 'warning');
         return;
     }
 
-    // 버튼 비활성화 및 로딩 상태
-    const originalText = elements.lookupBtn.innerHTML;
-    elements.lookupBtn.disabled = true;
-    elements.lookupBtn.innerHTML = '검색 중...';
-
-    try {
-        const definition = await lookupWord(english);
-
-        if (definition) {
-            elements.wordKorean.value = definition;
-            elements.wordKorean.focus();
-            showToast(`"${english}"의 뜻을 찾았습니다.`, 'success');
-        } else {
-            showToast(`"${english}" 단어를 사전에서 찾을 수 없습니다. 직접 입력해주세요.`, 'warning');
-            elements.wordKorean.focus();
-        }
-    } catch (error) {
-        showToast('사전 검색 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.', 'error');
-    } finally {
-        // 버튼 원래 상태로 복원
-        elements.lookupBtn.disabled = false;
-        elements.lookupBtn.innerHTML = originalText;
+    const changedCount = await transferWords(words, target, false, count =>
+        `${count}개 단어를 "${escapeHtml(target.name)}" 덱으로 이동했습니다.`
+    );
+    if (changedCount === 0) {
+        showToast(`선택한 단어가 이미 모두 "${escapeHtml(target.name)}" 덱에만 있습니다.`, 'info');
     }
 }
 
 /**
- * 에러 메시지 표시
- * @param {HTMLElement} inputElement - 입력 필드 요소
- * @param {string} message - 에러 메시지
+ * 선택한 단어의 주제 일괄 변경
  */
-function showError(inputElement, message) {
-    // 기존 에러 제거
-    clearError(inputElement);
+async function handleBulkCategory() {
+    const words = getBulkTargetWords();
+    if (!words) return;
 
-    // 에러 메시지 요소 생성
-    const errorEl = document.createElement('span');
-    errorEl.className = 'form-error';
-    errorEl.textContent = message;
+    const category = normalizeCategory(elements.bulkCategory?.value);
+    if (!category) return;
 
-    // 입력 필드 아래에 에러 표시
-    inputElement.classList.add('form-input--error');
-    inputElement.parentNode.appendChild(errorEl);
+    const changedWords = words.filter(word => word.category !== category);
+    if (changedWords.length === 0) {
+        showToast(`선택한 단어가 이미 모두 "${CATEGORY_LABELS[category]}" 주제입니다.`, 'info');
+        return;
+    }
 
-    // 3초 후 에러 자동 제거
-    setTimeout(() => clearError(inputElement), 3000);
+    const before = snapshotWords(changedWords.map(word => word.id));
+    changedWords.forEach(word => {
+        word.category = category;
+    });
+
+    if (!await saveWords(changedWords)) {
+        changedWords.forEach(word => {
+            word.category = before.get(word.id).word.category;
+        });
+        return;
+    }
+
+    applyFilters();
+    recordWordChange(before, `${changedWords.length}개 단어의 주제를 "${CATEGORY_LABELS[category]}"(으)로 바꿨습니다.`);
 }
 
 /**
- * 에러 메시지 제거
- * @param {HTMLElement} inputElement - 입력 필드 요소
+ * 선택한 단어로 시험지 생성 (현재 시험지 설정 사용)
  */
-function clearError(inputElement) {
-    inputElement.classList.remove('form-input--error');
-    const errorEl = inputElement.parentNode.querySelector('.form-error');
-    if (errorEl) {
-        errorEl.remove();
-    }
+function handleBulkTest() {
+    const words = getBulkTargetWords();
+    if (!words) return;
+
+    createTest(words, state.settings);
+    elements.testPreview?.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
 }
 
 /**
- * 카테고리 필터 핸들러
- * @param {HTMLElement} selectedTab - 선택된 탭 요소
+ * 선택한 단어 일괄 삭제 (확인 대신 실행 취소 토스트 제공)
  */
-function handleCategoryFilter(selectedTab) {
-    const category = selectedTab.dataset.category;
+async function handleBulkDelete() {
+    const words = getBulkTargetWords();
+    if (!words) return;
 
-    // 현재 필터 상태 업데이트
-    state.currentFilter.category = category;
+    const ids = new Set(words.map(word => word.id));
+    const before = snapshotWords([...ids]);
 
-    // 탭 활성화 상태 업데이트
-    elements.filterTabs.forEach(tab => {
-        tab.classList.remove('filter-tab--active');
-        tab.setAttribute('aria-selected', 'false');
-    });
-    selectedTab.classList.add('filter-tab--active');
-    selectedTab.setAttribute('aria-selected', 'true');
+    if (!await deleteWords([...ids])) return;
+    state.words = state.words.filter(word => !ids.has(word.id));
+    state.selection.ids.clear();
 
-    // 필터 적용 및 렌더링
+    updateDateFilterRange();
     applyFilters();
+
+    recordWordChange(before, `${ids.size}개 단어를 삭제했습니다.`);
 }
 
+// ========================================
+// Quiz Functions (온라인 퀴즈)
+// ========================================
+
 /**
- * 날짜 필터 핸들러
+ * 퀴즈 진행 상태
+ * @typedef {Object} QuizState
+ * @property {string} mode - 풀이 방식 ('single': 한 문제씩, 'form': 한 번에)
+ * @property {number} index - 현재 문제 위치 (single 모드)
+ * @property {Object[]} results - 채점 결과 ({ item, response, correct })
+ * @property {boolean} finished - 채점 완료 여부
+ * @property {boolean} isRetry - "다시 풀기"로 다시 푸는 중인지
  */
-function handleDateFilter() {
-    state.currentFilter.date = elements.filterDate.value;
-    applyFilters();
-}
 
 /**
- * 필터 초기화 핸들러
+ * 채점용 답안 정규화 (대소문자, 공백, 괄호 속 품사 표시, 끝 문장부호 무시)
+ * @param {string} text - 답안
+ * @returns {string} 정규화된 답안
  */
-function handleResetFilter() {
-    // 필터 상태 초기화
-    state.currentFilter.category = 'all';
-    state.currentFilter.date = 'all';
+function normalizeAnswer(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, '')
+        .replace(/\s+/g, '')
+        .replace(/[.!?~]+$/, '');
+}
 
-    // UI 초기화 - 카테고리 탭
-    elements.filterTabs.forEach(tab => {
-        tab.classList.remove('filter-tab--active');
-        tab.setAttribute('aria-selected', 'false');
-        if (tab.dataset.category === 'all') {
-            tab.classList.add('filter-tab--active');
-            tab.setAttribute('aria-selected', 'true');
-        }
-    });
+/**
+ * 쉼표 등으로 나열된 여러 뜻을 정규화된 배열로 분리
+ * @param {string} text - 답안 또는 정답
+ * @returns {string[]} 정규화된 답안 배열
+ */
+function splitAnswerAlternatives(text) {
+    return String(text)
+        .split(/[,;/·]/)
+        .map(normalizeAnswer)
+        .filter(Boolean);
+}
 
-    // UI 초기화 - 날짜 선택
-    if (elements.filterDate) {
-        elements.filterDate.value = 'all';
+/**
+ * 답안 채점
+ * 주관식은 정답에 나열된 뜻 중 하나만 맞아도 정답 처리
+ * @param {Object} item - 시험 문제
+ * @param {string|number|null} response - 입력한 답 (객관식은 보기 인덱스)
+ * @returns {boolean} 정답 여부
+ */
+function isAnswerCorrect(item, response) {
+    if (item.choices) {
+        return response === item.answerIndex;
     }
 
-    // 필터 적용
-    applyFilters();
+    const expected = splitAnswerAlternatives(item.answer);
+    return splitAnswerAlternatives(response || '').some(answer => expected.includes(answer));
 }
 
 /**
- * 필터 적용 및 목록 업데이트
+ * 퀴즈 시작 화면 표시 (풀이 방식 선택)
  */
-function applyFilters() {
-    state.filteredWords = getFilteredWords();
-    renderWordList();
-    updateFilterStatus();
+function showQuizIntro() {
+    if (!state.generatedTest || !elements.testPreview) return;
+
+    elements.testPreview.innerHTML = `
+        <div class="quiz">
+            <h3 class="quiz__title">온라인 퀴즈</h3>
+            <p class="quiz__description">
+                생성된 시험지 ${state.generatedTest.totalCount}문제를 화면에서 풀고 바로 채점합니다.
+            </p>
+            <div class="quiz__actions">
+                <button class="btn btn--primary" data-mode="single">한 문제씩 풀기</button>
+                <button class="btn btn--secondary" data-mode="form">한 번에 풀기</button>
+                <button class="btn btn--outline quiz-exit-btn">시험지로 돌아가기</button>
+            </div>
+        </div>
+    `;
+
+    elements.testPreview.querySelectorAll('[data-mode]').forEach(button => {
+        button.addEventListener('click', () => startQuiz(button.dataset.mode));
+    });
+    elements.testPreview.querySelector('.quiz-exit-btn').addEventListener('click', exitQuiz);
 }
 
 /**
- * 필터링된 단어 배열 반환
- * @returns {Word[]} 필터링된 단어 배열
+ * 퀴즈 시작
+ * @param {string} mode - 'single' | 'form'
+ * @param {boolean} isRetry - 결과 화면의 "다시 풀기"로 시작했는지 (다시 푼 결과는 학습 기록에 넣지 않음)
  */
-function getFilteredWords() {
-    let filtered = [...state.words];
+function startQuiz(mode, isRetry = false) {
+    if (!state.generatedTest) return;
+
+    stopDictation();
+    state.quiz = {
+        mode: mode === 'form' ? 'form' : 'single',
+        index: 0,
+        results: [],
+        finished: false,
+        isRetry
+    };
 
-    // 카테고리 필터 적용
-    if (state.currentFilter.category === 'mastered') {
-        filtered = filtered.filter(word => word.mastered === true);
-    } else if (state.currentFilter.category === 'learning') {
-        filtered = filtered.filter(word => word.mastered === false);
+    if (state.quiz.mode === 'form') {
+        renderQuizForm();
+    } else {
+        renderQuizQuestion();
     }
+}
 
-    // 날짜 필터 적용
-    if (state.currentFilter.date !== 'all') {
-        filtered = filtered.filter(word => {
-            const wordDate = new Date(word.dateAdded).toISOString().split('T')[0];
-            return wordDate === state.currentFilter.date;
-        });
+/**
+ * 퀴즈 종료 후 시험지 미리보기로 복귀
+ */
+function exitQuiz() {
+    state.quiz = null;
+    if (state.generatedTest) {
+        displayTestSheet(state.generatedTest);
     }
-
-    return filtered;
 }
 
 /**
- * 필터 상태 표시 업데이트
+ * 문제 하나의 입력 영역 HTML 생성
+ * @param {Object} item - 시험 문제
+ * @returns {string} 입력 영역 HTML
  */
-function updateFilterStatus() {
-    if (!elements.filterStatusText || !elements.filterStatusCount) return;
-
-    // 카테고리 라벨
-    let statusText = CATEGORY_FILTER_LABELS[state.currentFilter.category];
-
-    // 날짜가 선택된 경우 추가
-    if (state.currentFilter.date !== 'all') {
-        statusText += ` (${formatDateKorean(state.currentFilter.date)})`;
+function renderQuizInput(item) {
+    if (item.choices) {
+        return `
+            <div class="quiz__choices">
+                ${item.choices.map((choice, index) => `
+                    <label class="quiz__choice">
+                        <input type="radio" name="quiz-${item.number}" value="${index}">
+                        <span class="quiz__choice-letter">${CHOICE_LETTERS[index]}.</span>
+                        ${escapeHtml(choice)}
+                    </label>
+                `).join('')}
+            </div>
+        `;
     }
 
-    elements.filterStatusText.textContent = statusText;
-    elements.filterStatusCount.textContent = `${state.filteredWords.length}개`;
+    const placeholder = {
+        'kor-to-eng': '영어 단어 입력',
+        cloze: '빈칸에 들어갈 단어 입력',
+        dictation: '들은 단어 입력'
+    }[item.direction] || '한국어 뜻 입력';
+    return `
+        <input type="text" class="form-input quiz__input" name="quiz-${item.number}"
+            placeholder="${placeholder}" autocomplete="off">
+    `;
 }
 
 /**
- * 날짜 드롭다운 옵션 업데이트
+ * 문제 문구 HTML 생성 (받아쓰기는 듣기 버튼과 힌트)
+ * @param {Object} item - 시험 문제
+ * @returns {string} 문제 HTML
  */
-function updateDateFilterOptions() {
-    if (!elements.filterDate) return;
-
-    // 기존 옵션 제거 (첫 번째 '전체 날짜' 제외)
-    while (elements.filterDate.options.length > 1) {
-        elements.filterDate.remove(1);
+function renderQuizPrompt(item) {
+    if (item.direction === 'dictation') {
+        return `
+            <button type="button" class="btn btn--small btn--outline quiz__speak" data-number="${item.number}">🔊 듣기</button>
+            ${escapeHtml(item.hint)}
+        `;
     }
+    return escapeHtml(item.question);
+}
 
-    // 단어들의 날짜 추출 (중복 제거, 정렬)
-    const dates = [...new Set(
-        state.words.map(word => new Date(word.dateAdded).toISOString().split('T')[0])
-    )].sort().reverse(); // 최신 날짜가 먼저
-
-    // 옵션 추가
-    dates.forEach(date => {
-        const option = document.createElement('option');
-        option.value = date;
-        option.textContent = formatDateKorean(date);
-        elements.filterDate.appendChild(option);
+/**
+ * 받아쓰기 문제의 듣기 버튼 연결
+ */
+function bindQuizSpeakButtons() {
+    elements.testPreview.querySelectorAll('.quiz__speak').forEach(button => {
+        button.addEventListener('click', () => replayDictationItem(parseInt(button.dataset.number, 10)));
     });
+}
 
-    // 현재 선택된 날짜 유지
-    if (dates.includes(state.currentFilter.date)) {
-        elements.filterDate.value = state.currentFilter.date;
-    } else {
-        state.currentFilter.date = 'all';
-        elements.filterDate.value = 'all';
+/**
+ * 입력 영역에서 답안 읽기
+ * @param {HTMLElement} container - 문제 요소
+ * @param {Object} item - 시험 문제
+ * @returns {string|number|null} 입력한 답 (객관식은 보기 인덱스)
+ */
+function readQuizResponse(container, item) {
+    if (item.choices) {
+        const checked = container.querySelector(`input[name="quiz-${item.number}"]:checked`);
+        return checked ? parseInt(checked.value, 10) : null;
     }
+    return container.querySelector(`input[name="quiz-${item.number}"]`).value.trim();
 }
 
 /**
- * 날짜를 한글 형식으로 변환
- * @param {string} dateStr - YYYY-MM-DD 형식의 날짜 문자열
- * @returns {string} YYYY년 MM월 DD일 형식
+ * 답안을 화면 표시용 문자열로 변환
+ * @param {Object} item - 시험 문제
+ * @param {string|number|null} response - 입력한 답
+ * @returns {string} 표시용 답안
  */
-function formatDateKorean(dateStr) {
-    const [year, month, day] = dateStr.split('-');
-    return `${year}년 ${parseInt(month)}월 ${parseInt(day)}일`;
+function formatQuizResponse(item, response) {
+    if (item.choices) {
+        return response === null ? '' : `${CHOICE_LETTERS[response]}. ${item.choices[response]}`;
+    }
+    return response;
 }
 
 /**
- * 시험지 생성 핸들러
+ * 한 문제씩 풀기 화면 렌더링
  */
-function handleGenerateTest() {
-    // 필터된 단어가 없으면 알림
-    if (state.filteredWords.length === 0) {
-        showToast('시험지를 생성할 단어가 없습니다. 단어를 추가하거나 필터를 변경해주세요.', 'warning');
-        return;
-    }
+function renderQuizQuestion() {
+    const quiz = state.quiz;
+    const items = state.generatedTest.words;
+    const item = items[quiz.index];
+
+    elements.testPreview.innerHTML = `
+        <div class="quiz quiz--single">
+            <div class="quiz__header">
+                <h3 class="quiz__title">온라인 퀴즈</h3>
+                <span class="quiz__progress">${quiz.index + 1} / ${items.length}</span>
+            </div>
+            <div class="quiz__question">
+                <p class="quiz__prompt">
+                    <span class="quiz__number">${item.number}.</span>
+                    ${renderQuizPrompt(item)}
+                </p>
+                ${renderQuizInput(item)}
+                <p class="quiz__feedback" hidden></p>
+            </div>
+            <div class="quiz__actions">
+                <button class="btn btn--primary quiz-submit-btn">확인</button>
+                <button class="btn btn--outline quiz-exit-btn">그만두기</button>
+            </div>
+        </div>
+    `;
 
-    // 시험지 생성
-    const testSheet = generateTestSheet(state.filteredWords);
+    const questionEl = elements.testPreview.querySelector('.quiz__question');
+    const feedbackEl = questionEl.querySelector('.quiz__feedback');
+    const submitBtn = elements.testPreview.querySelector('.quiz-submit-btn');
+    const textInput = questionEl.querySelector('.quiz__input');
+    let answered = false;
+
+    submitBtn.addEventListener('click', () => {
+        // 채점 후 같은 버튼으로 다음 문제 이동
+        if (answered) {
+            quiz.index++;
+            if (quiz.index < items.length) {
+                renderQuizQuestion();
+            } else {
+                finishQuiz();
+            }
+            return;
+        }
 
-    // 시험지 표시
-    displayTestSheet(testSheet);
+        const response = readQuizResponse(questionEl, item);
+        const correct = isAnswerCorrect(item, response);
+        quiz.results.push({ item, response, correct });
+        answered = true;
 
-    // state에 저장
-    state.generatedTest = testSheet;
+        feedbackEl.hidden = false;
+        feedbackEl.className = `quiz__feedback quiz__feedback--${correct ? 'correct' : 'wrong'}`;
+        feedbackEl.textContent = correct ? '정답입니다!' : `오답입니다. 정답: ${formatAnswer(item)}`;
+        questionEl.querySelectorAll('input').forEach(input => { input.disabled = true; });
 
-    // PDF 다운로드 버튼 활성화
-    if (elements.downloadPdfBtn) {
-        elements.downloadPdfBtn.disabled = false;
-    }
+        submitBtn.textContent = quiz.index + 1 < items.length ? '다음 문제' : '결과 보기';
+        submitBtn.focus();
+    });
 
-    // 성공 토스트
-    showToast(`${testSheet.totalCount}문제 시험지가 생성되었습니다.`, 'success');
+    elements.testPreview.querySelector('.quiz-exit-btn').addEventListener('click', exitQuiz);
+    bindQuizSpeakButtons();
+
+    // Enter 키로 제출
+    if (textInput) {
+        textInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') submitBtn.click();
+        });
+        textInput.focus();
+    }
 }
 
 /**
- * 시험지 HTML 생성
- * @param {Word[]} words - 단어 배열
- * @returns {Object} 시험지 데이터 객체
+ * 한 번에 풀기 화면 렌더링
  */
-function generateTestSheet(words) {
-    // 원본 배열을 변경하지 않고 섞기
-    const shuffledWords = shuffleArray(words);
+function renderQuizForm() {
+    const items = state.generatedTest.words;
+
+    elements.testPreview.innerHTML = `
+        <div class="quiz quiz--form">
+            <div class="quiz__header">
+                <h3 class="quiz__title">온라인 퀴즈</h3>
+                <span class="quiz__progress">총 ${items.length}문제</span>
+            </div>
+            ${items.map(item => `
+                <div class="quiz__question" data-number="${item.number}">
+                    <p class="quiz__prompt">
+                        <span class="quiz__number">${item.number}.</span>
+                        ${renderQuizPrompt(item)}
+                    </p>
+                    ${renderQuizInput(item)}
+                </div>
+            `).join('')}
+            <div class="quiz__actions">
+                <button class="btn btn--primary quiz-submit-btn">채점하기</button>
+                <button class="btn btn--outline quiz-exit-btn">그만두기</button>
+            </div>
+        </div>
+    `;
 
-    // 시험지 데이터 생성
-    const testSheet = {
-        title: '영어 단어 시험',
-        date: new Date().toLocaleDateString('ko-KR'),
-        totalCount: shuffledWords.length,
-        words: shuffledWords.map((word, index) => ({
-            number: index + 1,
-            english: word.english,
-            korean: word.korean // 정답용으로 저장
-        }))
-    };
+    elements.testPreview.querySelector('.quiz-submit-btn').addEventListener('click', () => {
+        state.quiz.results = items.map(item => {
+            const questionEl = elements.testPreview.querySelector(`.quiz__question[data-number="${item.number}"]`);
+            const response = readQuizResponse(questionEl, item);
+            return { item, response, correct: isAnswerCorrect(item, response) };
+        });
+        finishQuiz();
+    });
+    elements.testPreview.querySelector('.quiz-exit-btn').addEventListener('click', exitQuiz);
+    bindQuizSpeakButtons();
 
-    return testSheet;
+    const firstInput = elements.testPreview.querySelector('.quiz__input');
+    if (firstInput) firstInput.focus();
 }
 
 /**
- * 시험지 화면에 표시
- * @param {Object} testSheet - 시험지 데이터 객체
+ * 퀴즈 채점 결과 표시
  */
-function displayTestSheet(testSheet) {
-    if (!elements.testPreview) return;
+async function finishQuiz() {
+    const quiz = state.quiz;
+    if (quiz.finished) return;
+    quiz.finished = true;
+
+    const total = quiz.results.length;
+    const correctCount = quiz.results.filter(result => result.correct).length;
+    const percent = total > 0 ? Math.round((correctCount / total) * 100) : 0;
+    const wrongResults = quiz.results.filter(result => !result.correct);
+
+    // 처음 푼 결과만 학습 기록과 복습 일정에 반영 (저장하는 사이 퀴즈를 닫았으면 결과는 그리지 않음)
+    const recordedCount = quiz.isRetry ? 0 : await applyReviewResults(quiz.results);
+    if (state.quiz !== quiz) return;
+
+    let recordMessage = '채점 결과를 학습 기록에 반영하지 못했습니다.';
+    if (quiz.isRetry) {
+        recordMessage = '다시 푼 결과는 학습 기록과 복습 일정에 반영하지 않습니다.';
+    } else if (recordedCount > 0) {
+        recordMessage = '채점 결과가 단어별 학습 기록과 복습 일정에 반영되었습니다.';
+    }
 
-    // 시험지 HTML 생성
-    const html = `
-        <div class="test-sheet">
-            <div class="test-sheet__header">
-                <h3 class="test-sheet__title">${testSheet.title}</h3>
-                <div class="test-sheet__info">
-                    <span>날짜: ${testSheet.date}</span>
-                    <span>총 ${testSheet.totalCount}문제</span>
-                </div>
-                <div class="test-sheet__name-field">
-                    <span>이름:</span>
-                    <span class="test-sheet__name-line"></span>
-                </div>
+    elements.testPreview.innerHTML = `
+        <div class="quiz quiz--result">
+            <h3 class="quiz__title">퀴즈 결과</h3>
+            <div class="quiz__score">
+                <span class="quiz__score-value">${correctCount} / ${total}</span>
+                <span class="quiz__score-percent">${percent}점</span>
             </div>
-            <div class="test-sheet__body">
-                <table class="test-sheet__table">
+            <p class="quiz__description">${recordMessage}</p>
+            ${wrongResults.length > 0 ? `
+                <table class="test-sheet__table quiz__wrong-table">
                     <thead>
                         <tr>
                             <th class="test-sheet__col-number">번호</th>
-                            <th class="test-sheet__col-english">영어 단어</th>
-                            <th class="test-sheet__col-answer">뜻 (한국어)</th>
+                            <th>문제</th>
+                            <th>내 답</th>
+                            <th>정답</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${testSheet.words.map(item => `
-                            <tr class="test-sheet__row">
+                        ${wrongResults.map(({ item, response }) => `
+                            <tr>
                                 <td class="test-sheet__number">${item.number}</td>
-                                <td class="test-sheet__english">${escapeHtml(item.english)}</td>
-                                <td class="test-sheet__answer"></td>
+                                <td>${escapeHtml(item.question)}</td>
+                                <td class="quiz__wrong-answer">${escapeHtml(formatQuizResponse(item, response)) || '-'}</td>
+                                <td class="answer-key__answer">${escapeHtml(formatAnswer(item))}</td>
                             </tr>
                         `).join('')}
                     </tbody>
                 </table>
-            </div>
-            <div class="test-sheet__actions no-print">
-                <button class="btn btn--primary" onclick="window.print()">인쇄하기</button>
-                <button class="btn btn--outline" onclick="hideTestSheet()">닫기</button>
+            ` : '<p class="quiz__perfect">모든 문제를 맞혔습니다!</p>'}
+            <div class="quiz__actions">
+                ${wrongResults.length > 0 ? `
+                    <button class="btn btn--danger quiz-mark-learning-btn">틀린 단어를 헷갈리는 단어로 표시</button>
+                ` : ''}
+                <button class="btn btn--primary quiz-retry-btn">다시 풀기</button>
+                <button class="btn btn--outline quiz-exit-btn">시험지로 돌아가기</button>
             </div>
         </div>
     `;
 
-    elements.testPreview.innerHTML = html;
-    elements.testPreview.classList.add('test-preview--visible');
-
-    // 시험지 섹션으로 스크롤
-    elements.testPreview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    const markBtn = elements.testPreview.querySelector('.quiz-mark-learning-btn');
+    if (markBtn) {
+        markBtn.addEventListener('click', async () => {
+            const changedCount = await setWordsMastered(
+                wrongResults.map(result => result.item.wordId),
+                false,
+                count => `${count}개 단어를 헷갈리는 단어로 표시했습니다.`
+            );
+            markBtn.disabled = true;
+            if (changedCount === 0) {
+                showToast('틀린 단어가 이미 모두 헷갈리는 단어입니다.', 'info');
+            }
+        });
+    }
+    elements.testPreview.querySelector('.quiz-retry-btn').addEventListener('click', () => startQuiz(quiz.mode, true));
+    elements.testPreview.querySelector('.quiz-exit-btn').addEventListener('click', exitQuiz);
 }
 
-/**
- * 시험지 숨기기
- */
-function hideTestSheet() {
-    if (!elements.testPreview) return;
+// ========================================
+// Statistics Dashboard (학습 통계)
+// ========================================
 
-    elements.testPreview.innerHTML = '<p class="empty-message">시험지를 생성해주세요.</p>';
-    elements.testPreview.classList.remove('test-preview--visible');
+// 추가한 단어 차트 기간 (최근 며칠 / 몇 주)
+const STATS_DAY_COUNT = 14;
+const STATS_WEEK_COUNT = 12;
 
-    // PDF 버튼 비활성화
-    if (elements.downloadPdfBtn) {
-        elements.downloadPdfBtn.disabled = true;
-    }
+// 외운 단어 추이 차트 기간과 기록 보관 기간 (일)
+const MASTERY_CHART_DAYS = 30;
+const MASTERY_HISTORY_DAYS = 365;
 
-    state.generatedTest = null;
+// 가장 어려운 단어 목록 (최소 채점 횟수, 표시 개수)
+const HARDEST_MIN_ATTEMPTS = 2;
+const HARDEST_WORDS_LIMIT = 10;
+
+// 정답률 구간 (단어 수 차트)
+const ACCURACY_BUCKETS = ['0~19%', '20~39%', '40~59%', '60~79%', '80~100%'];
+
+// 차트 크기 (SVG viewBox 기준, 화면 너비에 맞춰 늘어남)
+const STATS_CHART_WIDTH = 320;
+const STATS_CHART_HEIGHT = 160;
+const STATS_CHART_PADDING = { top: 16, right: 12, bottom: 24, left: 28 };
+
+/**
+ * 오늘 외운 단어 수를 추이 기록에 남김 (하루에 하나, 마지막 값으로 갱신)
+ */
+function recordMasterySnapshot() {
+    const today = toLocalDateKey(new Date());
+    const mastered = state.words.filter(word => word.mastered).length;
+    const history = loadMasteryHistory();
+    if (history[today] === mastered) return;
+
+    history[today] = mastered;
+    const oldest = addDays(today, -MASTERY_HISTORY_DAYS);
+    Object.keys(history).forEach(dateKey => {
+        if (dateKey < oldest) delete history[dateKey];
+    });
+    saveMasteryHistory(history);
 }
 
 /**
- * PDF 다운로드 핸들러 (jsPDF + autoTable 사용)
+ * 날짜가 속한 주의 월요일
+ * @param {string} dateKey - 날짜 (YYYY-MM-DD)
+ * @returns {string} 월요일 날짜 (YYYY-MM-DD)
  */
-async function handleDownloadPdf() {
-    if (!state.generatedTest) {
-        showToast('먼저 시험지를 생성해주세요.', 'warning');
-        return;
-    }
+function getWeekStart(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const offset = (new Date(year, month - 1, day).getDay() + 6) % 7;
+    return addDays(dateKey, -offset);
+}
 
-    // 로딩 표시
-    showLoading('PDF 생성 중...');
+/**
+ * 차트 축에 쓸 짧은 날짜
+ * @param {string} dateKey - 날짜 (YYYY-MM-DD)
+ * @returns {string} 예: "10/18"
+ */
+function formatShortDate(dateKey) {
+    const [, month, day] = dateKey.split('-');
+    return `${parseInt(month)}/${parseInt(day)}`;
+}
 
-    try {
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF({
-            orientation: 'portrait',
-            unit: 'mm',
-            format: 'a4'
-        });
+/**
+ * 기간별 추가한 단어 수 (dateAdded 기준)
+ * @param {string} period - 'day' (최근 14일) | 'week' (최근 12주, 월요일 시작)
+ * @returns {Object[]} 막대 데이터 ({ label, title, value })
+ */
+function getAddedWordCounts(period) {
+    const today = toLocalDateKey(new Date());
+    const isWeekly = period === 'week';
+    const count = isWeekly ? STATS_WEEK_COUNT : STATS_DAY_COUNT;
+    const last = isWeekly ? getWeekStart(today) : today;
+    const keys = Array.from({ length: count }, (_, index) => addDays(last, (index - count + 1) * (isWeekly ? 7 : 1)));
+
+    const counts = new Map(keys.map(key => [key, 0]));
+    state.words.forEach(word => {
+        const dateKey = toLocalDateKey(word.dateAdded);
+        const key = isWeekly ? getWeekStart(dateKey) : dateKey;
+        if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+    });
 
-        const testSheet = state.generatedTest;
-        const pageWidth = doc.internal.pageSize.getWidth();
+    return keys.map(key => ({
+        label: formatShortDate(key),
+        title: isWeekly ? `${formatShortDate(key)} 주` : formatShortDate(key),
+        value: counts.get(key)
+    }));
+}
 
-        // 제목
-        doc.setFontSize(20);
-        doc.setFont(undefined, 'bold');
-        doc.text(testSheet.title, pageWidth / 2, 20, { align: 'center' });
+/**
+ * 최근 30일 전체 단어 수와 외운 단어 수 추이
+ * 전체 단어는 추가한 날짜로 계산하고, 외운 단어는 그날 남긴 기록이 있는 날만 표시
+ * @returns {{ days: string[], total: number[], mastered: (number|null)[] }}
+ */
+function getMasteryTrend() {
+    const today = toLocalDateKey(new Date());
+    const days = Array.from({ length: MASTERY_CHART_DAYS }, (_, index) => addDays(today, index - MASTERY_CHART_DAYS + 1));
+    const addedDays = state.words.map(word => toLocalDateKey(word.dateAdded));
+    const history = loadMasteryHistory();
 
-        // 날짜 및 문제 수
-        doc.setFontSize(10);
-        doc.setFont(undefined, 'normal');
-        doc.text(`날짜: ${testSheet.date}    총 ${testSheet.totalCount}문제`, pageWidth / 2, 28, { align: 'center' });
+    return {
+        days,
+        total: days.map(day => addedDays.filter(added => added <= day).length),
+        mastered: days.map(day => (day in history ? history[day] : null))
+    };
+}
 
-        // 이름 필드
-        doc.setFontSize(12);
-        doc.text('이름:', pageWidth - 60, 38);
-        doc.line(pageWidth - 50, 38, pageWidth - 15, 38);
+/**
+ * 정답률 구간별 단어 수 (채점 기록이 있는 단어만)
+ * @returns {Object[]} 막대 데이터 ({ label, value })
+ */
+function getAccuracyDistribution() {
+    const counts = ACCURACY_BUCKETS.map(() => 0);
+    state.words.forEach(word => {
+        const accuracy = getWordAccuracy(word);
+        if (accuracy === null) return;
+        counts[Math.min(ACCURACY_BUCKETS.length - 1, Math.floor(accuracy * ACCURACY_BUCKETS.length))]++;
+    });
+    return ACCURACY_BUCKETS.map((label, index) => ({ label, value: counts[index] }));
+}
 
-        // 테이블 데이터 준비
-        const tableData = testSheet.words.map(item => [
-            item.number.toString(),
-            item.english,
-            '' // 빈 답안 칸
-        ]);
+/**
+ * 가장 어려운 단어 (정답률 낮은 순, 같으면 많이 채점한 순)
+ * @returns {Word[]}
+ */
+function getHardestWords() {
+    return state.words
+        .filter(word => word.review.attempts >= HARDEST_MIN_ATTEMPTS && word.review.correct < word.review.attempts)
+        .sort((a, b) => getWordAccuracy(a) - getWordAccuracy(b) || b.review.attempts - a.review.attempts ||
+            a.english.localeCompare(b.english, 'en', { sensitivity: 'base' }))
+        .slice(0, HARDEST_WORDS_LIMIT);
+}
 
-        // autoTable로 테이블 생성
-        doc.autoTable({
-            startY: 45,
-            head: [['번호', '영어 단어', '뜻 (한국어)']],
-            body: tableData,
-            theme: 'grid',
-            headStyles: {
-                fillColor: [245, 245, 245],
-                textColor: [51, 51, 51],
-                fontStyle: 'bold',
-                halign: 'center'
-            },
-            columnStyles: {
-                0: { cellWidth: 15, halign: 'center' },
-                1: { cellWidth: 60 },
-                2: { cellWidth: 'auto' }
-            },
-            styles: {
-                fontSize: 11,
-                cellPadding: 4,
-                lineColor: [200, 200, 200],
-                lineWidth: 0.3
-            },
-            alternateRowStyles: {
-                fillColor: [250, 250, 250]
-            },
-            margin: { left: 15, right: 15 }
-        });
+/**
+ * 막대 차트 SVG
+ * @param {Object[]} bars - 막대 데이터 ({ label, title, value })
+ * @param {string} label - 차트 설명 (스크린 리더용)
+ * @returns {string} SVG 문자열
+ */
+function renderBarChartSvg(bars, label) {
+    const { top, right, bottom, left } = STATS_CHART_PADDING;
+    const plotWidth = STATS_CHART_WIDTH - left - right;
+    const plotHeight = STATS_CHART_HEIGHT - top - bottom;
+    const baseline = top + plotHeight;
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const slot = plotWidth / bars.length;
+    // 막대가 많으면 x축 글자가 겹치지 않게 건너뛰며 표시
+    const labelStep = Math.ceil(bars.length / 7);
+
+    const items = bars.map((bar, index) => {
+        const height = bar.value / max * plotHeight;
+        const center = left + slot * (index + 0.5);
+        return `
+            <rect class="stats-chart__bar" x="${(center - slot * 0.35).toFixed(1)}" y="${(baseline - height).toFixed(1)}"
+                  width="${(slot * 0.7).toFixed(1)}" height="${height.toFixed(1)}">
+                <title>${escapeHtml(bar.title || bar.label)}: ${bar.value}</title>
+            </rect>
+            ${bar.value > 0 ? `<text class="stats-chart__value" x="${center.toFixed(1)}" y="${(baseline - height - 3).toFixed(1)}">${bar.value}</text>` : ''}
+            ${index % labelStep === 0 ? `<text class="stats-chart__label" x="${center.toFixed(1)}" y="${STATS_CHART_HEIGHT - 8}">${escapeHtml(bar.label)}</text>` : ''}
+        `;
+    }).join('');
+
+    return `
+        <svg class="stats-chart__svg" viewBox="0 0 ${STATS_CHART_WIDTH} ${STATS_CHART_HEIGHT}" role="img" aria-label="${escapeHtml(label)}">
+            <text class="stats-chart__axis" x="${left - 4}" y="${top + 4}">${max}</text>
+            <text class="stats-chart__axis" x="${left - 4}" y="${baseline}">0</text>
+            <line class="stats-chart__baseline" x1="${left}" y1="${baseline}" x2="${STATS_CHART_WIDTH - right}" y2="${baseline}"></line>
+            ${items}
+        </svg>
+    `;
+}
 
-        // PDF 다운로드
-        doc.save(`영어단어시험지_${getTimestamp()}.pdf`);
+/**
+ * 꺾은선 차트 SVG (값이 null인 날은 건너뜀)
+ * @param {string[]} days - 날짜 (YYYY-MM-DD)
+ * @param {Object[]} series - 선 데이터 ({ name, modifier, values })
+ * @param {string} label - 차트 설명 (스크린 리더용)
+ * @returns {string} SVG 문자열
+ */
+function renderLineChartSvg(days, series, label) {
+    const { top, right, bottom, left } = STATS_CHART_PADDING;
+    const plotWidth = STATS_CHART_WIDTH - left - right;
+    const plotHeight = STATS_CHART_HEIGHT - top - bottom;
+    const baseline = top + plotHeight;
+    const max = Math.max(1, ...series.flatMap(line => line.values.filter(value => value !== null)));
+    const xOf = index => left + (days.length > 1 ? index / (days.length - 1) : 0.5) * plotWidth;
+    const yOf = value => baseline - value / max * plotHeight;
+
+    const lines = series.map(line => {
+        const points = line.values
+            .map((value, index) => ({ value, index }))
+            .filter(point => point.value !== null);
+        if (points.length === 0) return '';
+        return `
+            <polyline class="stats-chart__line stats-chart__line--${line.modifier}"
+                      points="${points.map(point => `${xOf(point.index).toFixed(1)},${yOf(point.value).toFixed(1)}`).join(' ')}"></polyline>
+            ${points.map(point => `
+                <circle class="stats-chart__point stats-chart__point--${line.modifier}" cx="${xOf(point.index).toFixed(1)}" cy="${yOf(point.value).toFixed(1)}" r="2.5">
+                    <title>${formatShortDate(days[point.index])} ${escapeHtml(line.name)}: ${point.value}</title>
+                </circle>
+            `).join('')}
+        `;
+    }).join('');
+
+    const labelIndexes = [...new Set([0, Math.floor((days.length - 1) / 2), days.length - 1])];
+    return `
+        <svg class="stats-chart__svg" viewBox="0 0 ${STATS_CHART_WIDTH} ${STATS_CHART_HEIGHT}" role="img" aria-label="${escapeHtml(label)}">
+            <text class="stats-chart__axis" x="${left - 4}" y="${top + 4}">${max}</text>
+            <text class="stats-chart__axis" x="${left - 4}" y="${baseline}">0</text>
+            <line class="stats-chart__baseline" x1="${left}" y1="${baseline}" x2="${STATS_CHART_WIDTH - right}" y2="${baseline}"></line>
+            ${labelIndexes.map(index => `<text class="stats-chart__label" x="${xOf(index).toFixed(1)}" y="${STATS_CHART_HEIGHT - 8}">${formatShortDate(days[index])}</text>`).join('')}
+            ${lines}
+        </svg>
+    `;
+}
 
-        // 성공 알림
-        showToast('PDF가 성공적으로 다운로드되었습니다.', 'success');
-    } catch (error) {
-        console.error('PDF 생성 오류:', error);
-        showToast('PDF 생성에 실패했습니다. 다시 시도해주세요.', 'error');
-    } finally {
-        // 로딩 숨기기
-        hideLoading();
-    }
+/**
+ * 합계 카드와 외운 단어 비율 막대 렌더링
+ */
+function renderStatsTotals() {
+    const words = state.words;
+    const today = toLocalDateKey(new Date());
+    const mastered = words.filter(word => word.mastered).length;
+    const learning = words.length - mastered;
+    const due = words.filter(word => isWordDue(word, today)).length;
+    const attempts = words.reduce((sum, word) => sum + word.review.attempts, 0);
+    const correct = words.reduce((sum, word) => sum + word.review.correct, 0);
+    const percent = value => (words.length > 0 ? Math.round(value / words.length * 100) : 0);
+
+    const cards = [
+        { label: '전체 단어', value: words.length },
+        { label: '외운 단어', value: mastered, note: `${percent(mastered)}%`, modifier: 'mastered' },
+        { label: '헷갈리는 단어', value: learning, note: `${percent(learning)}%`, modifier: 'learning' },
+        { label: '오늘 복습', value: due },
+        { label: '전체 정답률', value: attempts > 0 ? `${Math.round(correct / attempts * 100)}%` : '-', note: `채점 ${attempts}회` }
+    ];
+
+    elements.statsTotals.innerHTML = `
+        <ul class="stats-cards">
+            ${cards.map(card => `
+                <li class="stats-card${card.modifier ? ` stats-card--${card.modifier}` : ''}">
+                    <span class="stats-card__label">${card.label}</span>
+                    <strong class="stats-card__value">${card.value}</strong>
+                    ${card.note ? `<span class="stats-card__note">${card.note}</span>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+        <svg class="stats-ratio" viewBox="0 0 100 4" preserveAspectRatio="none" role="img"
+             aria-label="외운 단어 ${percent(mastered)}%, 헷갈리는 단어 ${percent(learning)}%">
+            <rect class="stats-ratio__learning" x="0" y="0" width="100" height="4"></rect>
+            <rect class="stats-ratio__mastered" x="0" y="0" width="${words.length > 0 ? mastered / words.length * 100 : 0}" height="4"></rect>
+        </svg>
+    `;
+}
+
+/**
+ * 학습 통계 대시보드 렌더링 (단어가 바뀐 뒤 applyFilters에서, 또는 기간을 바꿀 때 호출)
+ */
+function renderStatsDashboard() {
+    if (!elements.statsTotals) return;
+
+    state.statsStale = false;
+    recordMasterySnapshot();
+    renderStatsTotals();
+
+    const period = elements.statsPeriod.value;
+    const added = getAddedWordCounts(period);
+    elements.statsAdded.innerHTML = renderBarChartSvg(added,
+        period === 'week' ? `최근 ${STATS_WEEK_COUNT}주 동안 주마다 추가한 단어 수` : `최근 ${STATS_DAY_COUNT}일 동안 날마다 추가한 단어 수`);
+
+    const trend = getMasteryTrend();
+    elements.statsMastery.innerHTML = renderLineChartSvg(trend.days, [
+        { name: '전체 단어', modifier: 'total', values: trend.total },
+        { name: '외운 단어', modifier: 'mastered', values: trend.mastered }
+    ], `최근 ${MASTERY_CHART_DAYS}일 전체 단어와 외운 단어 수`);
+
+    const accuracy = getAccuracyDistribution();
+    const reviewedCount = accuracy.reduce((sum, bucket) => sum + bucket.value, 0);
+    elements.statsAccuracy.innerHTML = reviewedCount > 0
+        ? renderBarChartSvg(accuracy, '정답률 구간별 단어 수')
+        : '<p class="stats-chart__empty">퀴즈나 종이 시험을 채점하면 단어별 정답률이 표시됩니다.</p>';
+
+    const hardest = getHardestWords();
+    elements.statsHardest.innerHTML = hardest.length > 0
+        ? hardest.map(word => `
+            <li class="stats-hardest__item">
+                <span class="stats-hardest__word">${escapeHtml(word.english)}</span>
+                <span class="stats-hardest__meaning">${escapeHtml(word.korean)}</span>
+                <span class="stats-hardest__accuracy">
+                    정답 ${word.review.correct}/${word.review.attempts} (${Math.round(getWordAccuracy(word) * 100)}%)
+                </span>
+            </li>
+        `).join('')
+        : `<li class="stats-chart__empty">${HARDEST_MIN_ATTEMPTS}번 이상 채점해 틀린 적 있는 단어가 여기에 표시됩니다.</li>`;
 }
 
 // ========================================
@@ -1010,20 +8095,78 @@ function renderWordList() {
 
     // 단어가 없으면 빈 메시지 표시
     if (state.filteredWords.length === 0) {
-        elements.wordList.innerHTML = '<p class="empty-message">등록된 단어가 없습니다.</p>';
+        elements.wordList.innerHTML = state.currentFilter.search
+            ? '<p class="empty-message">검색 결과가 없습니다.</p>'
+            : '<p class="empty-message">등록된 단어가 없습니다.</p>';
         updateWordCount();
         return;
     }
 
-    // 각 단어 아이템 생성
-    state.filteredWords.forEach(word => {
-        const wordItem = createWordItem(word);
-        elements.wordList.appendChild(wordItem);
-    });
+    // 단어가 많으면 한 페이지씩만 그리고 "더 보기"로 이어서 표시
+    appendWordItems(0, state.listView.limit);
 
     updateWordCount();
 }
 
+/**
+ * 단어 아이템을 목록 끝에 추가하고 "더 보기" 버튼 갱신
+ * @param {number} start - 시작 위치
+ * @param {number} end - 끝 위치 (포함 안 함)
+ */
+function appendWordItems(start, end) {
+    elements.wordList.querySelector('.word-list__more')?.remove();
+
+    const fragment = document.createDocumentFragment();
+    state.filteredWords.slice(start, end).forEach(word => {
+        fragment.appendChild(createWordItem(word));
+    });
+
+    const remaining = state.filteredWords.length - end;
+    if (remaining > 0) {
+        const moreBtn = document.createElement('button');
+        moreBtn.type = 'button';
+        moreBtn.className = 'btn btn--outline word-list__more';
+        moreBtn.textContent = `더 보기 (${remaining}개 남음)`;
+        moreBtn.addEventListener('click', () => {
+            const nextEnd = end + WORD_LIST_PAGE_SIZE;
+            state.listView.limit = nextEnd;
+            appendWordItems(end, nextEnd);
+        });
+        fragment.appendChild(moreBtn);
+    }
+
+    elements.wordList.appendChild(fragment);
+}
+
+/**
+ * 품사별 뜻을 품사 태그와 함께 HTML로 변환
+ * @param {WordSense[]} senses - 뜻 목록
+ * @returns {string} HTML 문자열
+ */
+function renderSenses(senses) {
+    return senses.map(sense => `
+        <span class="word-item__sense">
+            ${sense.partOfSpeech ? `<span class="word-item__pos" title="${PART_OF_SPEECH_LABELS[sense.partOfSpeech] || ''}">${escapeHtml(sense.partOfSpeech)}</span>` : ''}
+            ${escapeHtml(sense.korean)}
+        </span>
+    `).join('');
+}
+
+/**
+ * 단어의 유의어와 첫 예문을 HTML로 변환 (없으면 빈 문자열)
+ * @param {Word} word - 단어 객체
+ * @returns {string} HTML 문자열
+ */
+function renderWordDetails(word) {
+    if (word.synonyms.length === 0 && word.examples.length === 0) return '';
+    return `
+        <div class="word-item__details">
+            ${word.synonyms.length > 0 ? `<span class="word-item__synonyms">≈ ${escapeHtml(word.synonyms.join(', '))}</span>` : ''}
+            ${word.examples.length > 0 ? `<span class="word-item__example" title="${escapeHtml(word.examples.join('\n'))}">${escapeHtml(word.examples[0])}</span>` : ''}
+        </div>
+    `;
+}
+
 /**
  * 단어 아이템 요소 생성
  * @param {Word} word - 단어 객체
@@ -1031,10 +8174,15 @@ function renderWordList() {
  */
 function createWordItem(word) {
     const item = document.createElement('div');
-    item.className = `word-item ${word.mastered ? 'word-item--mastered' : ''}`;
+    const isSelected = state.selection.active && state.selection.ids.has(word.id);
+    item.className = `word-item ${word.mastered ? 'word-item--mastered' : ''} ${isSelected ? 'word-item--selected' : ''}`;
     item.dataset.id = word.id;
 
     item.innerHTML = `
+        ${state.selection.active ? `
+            <input type="checkbox" class="word-item__select" ${isSelected ? 'checked' : ''}
+                   aria-label="${escapeHtml(word.english)} 선택">
+        ` : ''}
         <div class="word-item__checkbox">
             <input type="checkbox"
                    id="mastered-${word.id}"
@@ -1043,9 +8191,20 @@ function createWordItem(word) {
                    title="암기 완료">
         </div>
         <div class="word-item__content">
-            <span class="word-item__english">${escapeHtml(word.english)}</span>
-            <span class="word-item__korean">${escapeHtml(word.korean)}</span>
-            <span class="word-item__date">${formatDate(word.dateAdded)}</span>
+            <span class="word-item__english">
+                ${escapeHtml(word.english)}
+                ${word.phonetic ? `<span class="word-item__phonetic">${escapeHtml(word.phonetic)}</span>` : ''}
+            </span>
+            <span class="word-item__korean">${renderSenses(word.senses)}</span>
+            ${renderWordDetails(word)}
+            <div class="word-item__meta">
+                <span class="badge badge--category">${CATEGORY_LABELS[word.category]}</span>
+                ${word.deckIds.map(getDeckName).filter(Boolean).map(name => `
+                    <span class="badge badge--deck">${escapeHtml(name)}</span>
+                `).join('')}
+                <span class="word-item__date">${formatDate(word.dateAdded)}</span>
+                <span class="word-item__review">${formatReviewSummary(word)}</span>
+            </div>
         </div>
         <div class="word-item__actions">
             <button class="btn btn--small btn--outline edit-btn" data-id="${word.id}">수정</button>
@@ -1062,6 +8221,14 @@ function createWordItem(word) {
     editBtn.addEventListener('click', () => handleEditWord(word.id));
     deleteBtn.addEventListener('click', () => handleDeleteWord(word.id));
 
+    const selectCheckbox = item.querySelector('.word-item__select');
+    if (selectCheckbox) {
+        selectCheckbox.addEventListener('change', () => {
+            handleWordSelect(word.id, selectCheckbox.checked);
+            item.classList.toggle('word-item--selected', selectCheckbox.checked);
+        });
+    }
+
     return item;
 }
 
@@ -1080,18 +8247,48 @@ function escapeHtml(str) {
  * 암기 완료 토글 핸들러
  * @param {string} wordId - 단어 ID
  */
-function handleMasteredToggle(wordId) {
-    const wordIndex = state.words.findIndex(w => w.id === wordId);
-    if (wordIndex === -1) return;
+async function handleMasteredToggle(wordId) {
+    const word = state.words.find(w => w.id === wordId);
+    if (!word) return;
 
     // mastered 상태 토글
-    state.words[wordIndex].mastered = !state.words[wordIndex].mastered;
+    const mastered = !word.mastered;
+    await setWordsMastered([wordId], mastered, () =>
+        `"${word.english}" 단어를 ${mastered ? '외운 단어' : '헷갈리는 단어'}로 표시했습니다.`
+    );
+}
+
+/**
+ * 단어들의 암기 상태 변경 후 저장 및 목록 갱신 (실행 취소 기록에 추가)
+ * @param {string[]} wordIds - 단어 ID 배열
+ * @param {boolean} mastered - 변경할 암기 상태
+ * @param {function(number): string} describe - 바뀐 단어 수로 토스트 메시지 만들기
+ * @returns {Promise<number>} 실제로 상태가 바뀐 단어 수 (저장 실패 시 0)
+ */
+async function setWordsMastered(wordIds, mastered, describe) {
+    const ids = new Set(wordIds);
+    const changedWords = state.words.filter(word => ids.has(word.id) && word.mastered !== mastered);
+
+    if (changedWords.length === 0) return 0;
 
-    // localStorage 즉시 업데이트
-    saveWords(state.words);
+    const before = snapshotWords(changedWords.map(word => word.id));
+    changedWords.forEach(word => {
+        word.mastered = mastered;
+    });
+
+    // 바뀐 단어만 즉시 저장 (실패하면 되돌림)
+    if (!await saveWords(changedWords)) {
+        changedWords.forEach(word => {
+            word.mastered = !mastered;
+        });
+        return 0;
+    }
 
     // 필터 다시 적용
     applyFilters();
+
+    recordWordChange(before, describe(changedWords.length));
+    return changedWords.length;
 }
 
 /**
@@ -1121,7 +8318,14 @@ function handleEditWord(wordId) {
     // 수정 폼으로 변경
     contentDiv.innerHTML = `
         <input type="text" class="form-input edit-english" value="${escapeHtml(word.english)}" placeholder="영어 단어">
-        <input type="text" class="form-input edit-korean" value="${escapeHtml(word.korean)}" placeholder="한국어 뜻">
+        <div class="edit-senses"></div>
+        <select class="form-select edit-category" aria-label="주제"></select>
+        <input type="text" class="form-input edit-phonetic" value="${escapeHtml(word.phonetic)}"
+               placeholder="발음 기호" aria-label="발음 기호">
+        <input type="text" class="form-input edit-synonyms" value="${escapeHtml(word.synonyms.join(', '))}"
+               placeholder="유의어 (쉼표로 구분)" aria-label="유의어">
+        <textarea class="form-input form-textarea edit-examples" rows="2"
+                  placeholder="예문 (한 줄에 하나)" aria-label="예문">${escapeHtml(word.examples.join('\n'))}</textarea>
     `;
 
     actionsDiv.innerHTML = `
@@ -1133,16 +8337,21 @@ function handleEditWord(wordId) {
     const saveBtn = actionsDiv.querySelector('.save-btn');
     const cancelBtn = actionsDiv.querySelector('.cancel-btn');
     const englishInput = contentDiv.querySelector('.edit-english');
-    const koreanInput = contentDiv.querySelector('.edit-korean');
+    const sensesEditor = createSensesEditor(contentDiv.querySelector('.edit-senses'), word.senses);
+    const categorySelect = contentDiv.querySelector('.edit-category');
+    const phoneticInput = contentDiv.querySelector('.edit-phonetic');
+    const synonymsInput = contentDiv.querySelector('.edit-synonyms');
+    const examplesInput = contentDiv.querySelector('.edit-examples');
+    fillCategoryOptions(categorySelect, word.category);
 
     // 영어 입력 필드에 포커스
     englishInput.focus();
 
-    saveBtn.addEventListener('click', () => {
+    saveBtn.addEventListener('click', async () => {
         const newEnglish = englishInput.value.trim();
-        const newKorean = koreanInput.value.trim();
+        const newSenses = sensesEditor.getSenses();
 
-        if (!newEnglish || !newKorean) {
+        if (!newEnglish || newSenses.length === 0) {
             alert('영어 단어와 한국어 뜻을 모두 입력해주세요.');
             return;
         }
@@ -1150,11 +8359,41 @@ function handleEditWord(wordId) {
         // 단어 업데이트
         const wordIndex = state.words.findIndex(w => w.id === wordId);
         if (wordIndex !== -1) {
-            state.words[wordIndex].english = newEnglish;
-            state.words[wordIndex].korean = newKorean;
-            saveWords(state.words);
-            state.filteredWords = [...state.words];
-            renderWordList();
+            const editedWord = state.words[wordIndex];
+            const previous = {
+                english: editedWord.english,
+                korean: editedWord.korean,
+                senses: editedWord.senses,
+                phonetic: editedWord.phonetic,
+                examples: editedWord.examples,
+                synonyms: editedWord.synonyms,
+                category: editedWord.category
+            };
+            const before = snapshotWords([wordId]);
+            editedWord.english = newEnglish;
+            editedWord.category = categorySelect.value;
+            applyWordEntry(editedWord, {
+                senses: newSenses,
+                phonetic: phoneticInput.value,
+                examples: splitLines(examplesInput.value),
+                synonyms: splitCommaList(synonymsInput.value)
+            });
+
+            // 바뀐 내용이 없으면 저장과 실행 취소 기록 없이 수정 모드만 닫음
+            const unchanged = Object.keys(previous)
+                .every(key => JSON.stringify(editedWord[key]) === JSON.stringify(previous[key]));
+            if (unchanged) {
+                applyFilters();
+                return;
+            }
+
+            if (!await saveWords([editedWord])) {
+                Object.assign(editedWord, previous);
+                return;
+            }
+            // 주제가 바뀌면 현재 필터에서 빠질 수 있으므로 필터 다시 적용
+            applyFilters();
+            recordWordChange(before, `"${newEnglish}" 단어를 수정했습니다.`);
         }
     });
 
@@ -1170,12 +8409,12 @@ function handleEditWord(wordId) {
         deleteBtn.addEventListener('click', () => handleDeleteWord(wordId));
     });
 
-    // Enter 키로 저장
+    // Enter 키로 저장 (영어 단어에서는 뜻 입력으로 이동, 예문은 줄바꿈)
     englishInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') koreanInput.focus();
+        if (e.key === 'Enter') sensesEditor.focus();
     });
-    koreanInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') saveBtn.click();
+    contentDiv.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && e.target.matches('input:not(.edit-english)')) saveBtn.click();
     });
 }
 
@@ -1183,28 +8422,23 @@ function handleEditWord(wordId) {
  * 단어 삭제 핸들러
  * @param {string} wordId - 단어 ID
  */
-function handleDeleteWord(wordId) {
+async function handleDeleteWord(wordId) {
     const word = state.words.find(w => w.id === wordId);
     if (!word) return;
 
-    // 확인 다이얼로그
-    const confirmed = confirm(`"${word.english}" 단어를 삭제하시겠습니까?`);
-    if (!confirmed) return;
-
     const deletedWord = word.english;
+    const before = snapshotWords([wordId]);
 
-    // state에서 제거
+    // 저장소에서 삭제한 뒤 state에서 제거 (확인 대신 실행 취소 토스트 제공)
+    if (!await deleteWords([wordId])) return;
     state.words = state.words.filter(w => w.id !== wordId);
 
-    // localStorage 업데이트
-    saveWords(state.words);
-
-    // 날짜 드롭다운 업데이트 및 필터 적용
-    updateDateFilterOptions();
+    // 날짜 입력 범위 업데이트 및 필터 적용
+    updateDateFilterRange();
     applyFilters();
 
-    // 성공 토스트
-    showToast(`"${deletedWord}" 단어가 삭제되었습니다.`, 'success');
+    // 성공 토스트 (실행 취소 가능)
+    recordWordChange(before, `"${deletedWord}" 단어가 삭제되었습니다.`);
 }
 
 /**
@@ -1223,25 +8457,48 @@ function updateWordCount() {
 /**
  * 앱 초기화
  */
-function init() {
+async function init() {
     // DOM 요소 참조 초기화
     initElements();
 
+    // 단어 추가 폼의 뜻 입력 준비
+    if (elements.wordSenses) {
+        wordSensesEditor = createSensesEditor(elements.wordSenses);
+    }
+
+    // 주제 선택 옵션 채우기
+    fillCategoryOptions(elements.wordCategory);
+    fillCategoryOptions(elements.importCategory);
+    fillCategoryOptions(elements.bulkCategory);
+    fillCategoryOptions(elements.filterTopic, 'all');
+
     // 테마 적용
     const theme = loadTheme();
     applyTheme(theme);
 
-    // 단어 데이터 로드
-    state.words = loadWords();
+    // 저장소 준비 후 단어 데이터 로드
+    storage = await createStorage();
+    renderStorageStatus();
+    state.words = await loadWords();
+    state.decks = await loadDecks();
+    state.testHistory = await loadTestHistory();
+    state.scores = await loadScores();
+
+    // 시험지 설정 로드
+    state.settings = loadSettings();
+    renderTestSettings();
 
     // 이벤트 리스너 등록
     initEventListeners();
 
-    // 날짜 드롭다운 초기화
-    updateDateFilterOptions();
+    // 덱 드롭다운, 날짜 입력 범위 초기화
+    renderDeckOptions();
+    updateDateFilterRange();
 
     // 필터 적용 및 초기 렌더링
     applyFilters();
+    renderTestHistory();
+    renderScoreReport();
 }
 
 // DOM 로드 완료 시 초기화